@@ -6,6 +6,74 @@
 
 class WMHorizontalTimeline {
   static pluginName = 'horizontal-timeline';
+  static instances = new Map(); // keyed by section id
+  // HTML kept in descriptions and section titles; extend per instance with allowedTags/allowedAttributes
+  static allowedTags = [
+    'p', 'br', 'hr', 'span', 'div', 'strong', 'b', 'em', 'i', 'u', 's', 'small', 'sub', 'sup', 'mark',
+    'code', 'pre', 'blockquote', 'a', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'img',
+    'figure', 'figcaption'
+  ];
+  static allowedAttributes = {
+    '*': ['class', 'title', 'lang', 'dir'],
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    ol: ['start', 'type'],
+    li: ['value']
+  };
+  // Removed with their content rather than unwrapped, unless explicitly allowed
+  static droppedTags = ['script', 'style', 'template', 'noscript', 'iframe', 'frame', 'object', 'embed', 'link', 'meta', 'base', 'form', 'input', 'button', 'select', 'textarea', 'svg', 'math'];
+  static urlAttributes = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href'];
+  // Accepted types and values per setting; anything else is ignored with a warning
+  static settingsSchema = {
+    scrollPerItem: { type: 'number' },
+    navigationType: { values: ['scroll', 'arrows', 'autoplay'] },
+    itemCards: { type: 'boolean' },
+    mobileLayout: { values: ['horizontal', 'vertical', 'alternating'] },
+    desktopLayout: { values: ['horizontal', 'vertical', 'alternating'] },
+    arrowPlacement: { values: ['side', 'bottom', 'bottom-left', 'bottom-right'] },
+    arrowPlacementMobile: { values: ['side', 'bottom', 'bottom-left', 'bottom-right'] },
+    mobileBreakpoint: { type: 'number' },
+    breakpoints: { type: 'object' },
+    swipeNavigation: { type: 'boolean' },
+    swipeVelocityThreshold: { type: 'number' },
+    deepLink: { values: [false, 'hash', 'query'] },
+    deepLinkFormat: { values: ['index', 'label'] },
+    autoplay: { type: 'boolean' },
+    autoplayInterval: { type: 'number' },
+    autoplayLoop: { type: 'boolean' },
+    dateScale: { type: 'boolean' },
+    dateAxisTicks: { values: [false, 'auto', 'years', 'decades', 'centuries'] },
+    dateMinGap: { type: 'number' },
+    eraColors: { type: 'object' },
+    eraNavigation: { type: 'boolean' },
+    eraFillColor: { type: 'boolean' },
+    dataSource: { values: ['list', 'json', 'collection', 'markup'] },
+    dataSourceUrl: { type: 'string' },
+    dataSourceSelector: { type: 'string' },
+    dataSourceLimit: { type: 'number' },
+    itemDetail: { values: [false, true, 'button', 'item'] },
+    itemDetailButtonText: { type: 'string' },
+    itemDetailImageFormat: { type: 'string' },
+    descriptionLines: { type: 'number' },
+    imageSizes: { type: 'string' },
+    videoAutoplay: { type: 'boolean' },
+    scrollSnap: { values: [false, true, 'idle', 'stepped'] },
+    scrollSnapDelay: { type: 'number' },
+    scrollSmoothing: { type: 'number' },
+    cssScrollTimeline: { type: 'boolean' },
+    virtualize: { values: [false, true, 'auto'] },
+    virtualizeBuffer: { type: 'number' },
+    allowedTags: { type: 'array' },
+    allowedAttributes: { type: 'object' },
+    activeEmphasis: { values: [false], tokens: ['scale', 'blur', 'opacity', 'lift', 'custom'] },
+    filters: { type: 'boolean' },
+    filtersAllText: { type: 'string' },
+    search: { type: 'boolean' },
+    searchPlaceholder: { type: 'string' },
+    scrollContainer: { type: ['string', 'element'] },
+    direction: { values: ['auto', 'ltr', 'rtl'] },
+    itemOrder: { values: ['source', 'reverse', 'oldest', 'newest'] }
+  };
 
   static emitEvent(type, detail = {}, elem = document) {
     elem.dispatchEvent(new CustomEvent(`wm-${this.pluginName}${type}`, { detail, bubbles: true }));
@@ -13,45 +81,384 @@ class WMHorizontalTimeline {
 
   constructor(el, settings = {}) {
     this.el = el;
-    this.settings = {
+    this.pluginName = this.constructor.pluginName;
+    // Settings as given; this.settings holds them resolved for the current breakpoint.
+    // Precedence, lowest first: these defaults, window.wmHorizontalTimelineSettings[sectionId],
+    // a <script type="application/json" data-wm-timeline-settings> in the section, then
+    // data-wm-* attributes on a [data-wm-timeline-settings] element in the section. Either can sit
+    // elsewhere on the page (e.g. a code block above) if the attribute's value is the section id.
+    this.baseSettings = {
       scrollPerItem: 300, // pixels of scroll per item
-      navigationType: 'scroll', // 'scroll' or 'arrows'
+      navigationType: 'scroll', // 'scroll', 'arrows' or 'autoplay' (arrows that advance on their own)
       itemCards: false, // enable inverted card styling
-      mobileLayout: 'horizontal', // 'horizontal' or 'vertical'
+      mobileLayout: 'horizontal', // 'horizontal', 'vertical' or 'alternating'
+      desktopLayout: 'horizontal', // 'horizontal', 'vertical' or 'alternating'
       arrowPlacement: 'side', // 'side', 'bottom', 'bottom-left', 'bottom-right'
       arrowPlacementMobile: 'side', // 'side', 'bottom', 'bottom-left', 'bottom-right'
-      ...settings
+      mobileBreakpoint: 767, // widths up to this use mobileLayout, arrowPlacementMobile and mobile sizing
+      breakpoints: {}, // overrides keyed by min viewport width, e.g. { 768: { navigationType: 'arrows' } }
+      swipeNavigation: true, // drag, swipe and horizontal wheel navigation in arrows mode
+      swipeVelocityThreshold: 0.5, // release speed (px/ms) above which a flick carries momentum
+      deepLink: false, // sync the active item to the URL: false, 'hash' or 'query'
+      deepLinkFormat: 'index', // 'index' (item number) or 'label' (slug of the item's [label])
+      autoplay: false, // advance through items on a timer (arrows mode only; ignored with scroll navigation)
+      autoplayInterval: 5000, // milliseconds each item stays active
+      autoplayLoop: true, // rewind to the first item after the last, otherwise stop
+      dateScale: false, // space items by their date metadata or [label] instead of evenly
+      dateAxisTicks: false, // axis ticks in the labels track: false, 'auto', 'years', 'decades' or 'centuries'
+      dateMinGap: 24, // minimum pixels between neighbouring items on a date scale
+      eraColors: {}, // colours keyed by era name, e.g. { 'Early Years': '#c4572b' }
+      eraNavigation: false, // arrows jump between era starts instead of single items, then step through the last era
+      eraFillColor: false, // tint the progress fill with the active item's era colour
+      dataSource: 'list', // 'list' (this list section), 'json', 'collection' or 'markup'
+      dataSourceUrl: '', // JSON file or collection URL (e.g. '/blog'); for 'json', omit to read an inline script
+      dataSourceSelector: '', // inline JSON script or markup container inside the section
+      dataSourceLimit: 100, // maximum collection items to load across pages
+      itemDetail: false, // detail modal: false, 'button' (a "Read more" control) or 'item' (clicking the item too)
+      itemDetailButtonText: 'Read more', // text of the control that opens the modal
+      itemDetailImageFormat: '1500w', // ?format= size of the modal image
+      descriptionLines: 0, // clamp card descriptions to this many lines (0 shows them in full)
+      imageSizes: '', // sizes attribute for item images; defaults to the card width at each layout
+      videoAutoplay: true, // play item video muted while its item is active and in view
+      scrollSnap: false, // scroll mode: false, 'idle' (settle on the nearest item once scrolling stops) or 'stepped' (each wheel notch or swipe moves one item)
+      scrollSnapDelay: 150, // milliseconds of quiet scrolling before 'idle' snapping
+      scrollSmoothing: 0.2, // scroll mode: share of the remaining distance eased each frame (1 follows the scrollbar exactly)
+      cssScrollTimeline: false, // scroll mode: let CSS scroll-driven animations move the track where supported
+      virtualize: 'auto', // build item media and text only near the visible part of a horizontal track: true, false or 'auto' (over 50 items)
+      virtualizeBuffer: 3, // items kept built on either side of the visible ones
+      allowedTags: [], // extra HTML tags kept in descriptions and titles, e.g. ['iframe']
+      allowedAttributes: {}, // extra attributes by tag ('*' for any), e.g. { '*': ['style'], iframe: ['src', 'allowfullscreen'] }
+      activeEmphasis: false, // de-emphasise items away from the active one: 'scale', 'blur', 'opacity', 'lift' or several, e.g. 'scale opacity'; 'custom' only sets the --timeline-item-* properties
+      filters: false, // category chips above the timeline that show only the matching items
+      filtersAllText: 'All', // text of the chip that clears the filter
+      search: false, // search box that finds and highlights text in item titles, labels and descriptions
+      searchPlaceholder: 'Search', // placeholder of the search box
+      scrollContainer: 'auto', // what scrolls the timeline: 'auto' (nearest scrollable ancestor, else the page), 'window', a selector or an element
+      direction: 'auto', // 'auto' (follow the page's dir), 'ltr' or 'rtl'; right-to-left mirrors the track, fill, arrows and arrow keys
+      itemOrder: 'source', // 'source', 'reverse', 'oldest' or 'newest' (by date metadata or [label]; undated items go last)
+      ...this.validateSettings(settings, 'wmHorizontalTimelineSettings'),
+      ...this.readDeclarativeSettings()
     };
+    this.settings = null;
+    this.activeBreakpoint = null;
+    this.resolveSettings();
     this.data = null;
     this.sectionTitle = null;
     this.sectionButton = null;
     this.options = null;
     this.styles = null;
     this.originalContainer = null;
-    this.pluginName = this.constructor.pluginName;
+    this.sourceElement = null;
+    this.sourceItems = null; // cached so rebuilds don't refetch
+    this.sourceItemsKey = null; // source settings the cache was loaded with
+    this.initId = 0;
     this.isBackend = window.top !== window.self;
+    this.isRtl = false; // the timeline is laid out left to right and mirrored, so track maths never change
     this.timelineWrapper = null;
     this.progressFill = null;
+    this.progressTrack = null;
     this.itemsTrack = null;
     this.dots = [];
+    this.items = []; // visible items; allItems includes those filtered out
+    this.allItems = [];
+    this.labelWrappers = [];
+    this.allLabelWrappers = [];
+    this.itemSources = new Map(); // parsed title, label, description and metadata, keyed by item element
+    this.itemBodies = new Map(); // built media/text nodes, keyed by item element and kept while detached
+    this.isVirtualized = false;
+    this.renderedRange = null;
+    this.placeholderHeight = 0; // tallest built item, held by unbuilt ones in horizontal layouts
+    this.liveRegion = null;
+    this.activeIndex = null;
+    this.progress = 0;
+    this.itemDates = [];
+    this.dateScaleRatio = 1;
+    this.eras = [];
+    this.erasTrack = null;
+    // Filters (the selection survives rebuilds)
+    this.filtersBar = null;
+    this.filterCategories = new Map(); // category slug -> name, in first-seen order
+    this.activeCategories = new Set();
+    this.filterTimeout = null;
+    // Search
+    this.searchInput = null;
+    this.searchStatus = null;
+    this.searchQuery = '';
+    this.searchResults = []; // indices of the visible items that match
+    this.searchResultIndex = -1;
+    this.searchTimeout = null;
+    this.boundHandleSearchShortcut = null;
+    // Detail modal
+    this.modal = null;
+    this.modalReturnFocus = null;
+    // Snap scrolling
+    this.snapTimeout = null;
+    this.snapTouch = null;
+    this.isTouching = false;
+    this.lastStepAt = 0;
+    this.lastStepWheelAt = 0;
+    this.boundHandleTouchState = null;
+    // Item media
+    this.mediaObserver = null;
+    this.hlsPlayers = new Map(); // hls.js players, keyed by video element while it is mounted
+    this.isInView = false;
     this.scrollHeight = 0;
+    this.scrollContainer = null; // window, or the element that scrolls the timeline
+    // Render loop
+    this.geometry = null;
+    this.renderFrame = null;
+    this.targetProgress = 0;
+    this.renderedProgress = 0;
+    this.focusPosition = null;
+    this.bodyResizeObserver = null;
     this.boundHandleScroll = null;
     this.boundHandleResize = null;
+    this.boundHandleLocationChange = null;
+    this.deepLinkTimeout = null;
+    this.deepLinkIndex = null; // latest index waiting for the next URL write
     this.resizeObserver = null;
     // Arrow navigation
     this.currentIndex = 0;
     this.prevButton = null;
     this.nextButton = null;
+    this.currentTranslate = 0;
+    // Swipe navigation
+    this.dragState = null;
+    this.wheelState = null;
+    this.wheelTimeout = null;
+    this.suppressClick = false;
+    // Autoplay
+    this.autoplayToggle = null;
+    this.autoplayTimer = null;
+    this.autoplayRemaining = 0;
+    this.autoplayStartedAt = 0;
+    this.autoplayPauseReasons = new Set();
+    this.boundHandleVisibilityChange = null;
+    // One timeline per section: replace any earlier instance rather than stacking another on it
+    WMHorizontalTimeline.instances.get(this.el.id)?.destroy();
+    WMHorizontalTimeline.instances.set(this.el.id, this);
     this.init();
   }
 
+  // Layer each breakpoint whose min width fits the viewport over the base settings, smallest first
+  resolveSettings() {
+    const { breakpoints = {}, ...baseSettings } = this.baseSettings;
+    const matching = this.getMatchingBreakpoints();
+    this.settings = matching.reduce(
+      (settings, minWidth) => ({ ...settings, ...breakpoints[minWidth] }),
+      { ...baseSettings }
+    );
+    this.settings.breakpoints = breakpoints;
+    this.activeBreakpoint = matching.length > 0 ? matching[matching.length - 1] : null;
+    this.normalizeSettings();
+  }
+
+  getMatchingBreakpoints() {
+    const breakpoints = this.baseSettings.breakpoints || {};
+    return Object.keys(breakpoints)
+      .map(Number)
+      .filter(minWidth => !Number.isNaN(minWidth) && window.innerWidth >= minWidth)
+      .sort((a, b) => a - b);
+  }
+
+  hasBreakpointChanged() {
+    const matching = this.getMatchingBreakpoints();
+    const breakpoint = matching.length > 0 ? matching[matching.length - 1] : null;
+    return breakpoint !== this.activeBreakpoint;
+  }
+
+  normalizeSettings() {
+    // Autoplay is arrow navigation that advances itself
+    if (this.settings.navigationType === 'autoplay') {
+      this.settings.navigationType = 'arrows';
+      this.settings.autoplay = true;
+    }
+    if (this.settings.itemDetail === true) {
+      this.settings.itemDetail = 'button';
+    }
+    if (this.settings.scrollSnap === true) {
+      this.settings.scrollSnap = 'idle';
+    }
+  }
+
+  // Settings from markup, e.g. added with a code block
+  readDeclarativeSettings() {
+    const settings = {};
+    const elements = Array.from(document.querySelectorAll('[data-wm-timeline-settings]')).filter(element => {
+      const target = element.getAttribute('data-wm-timeline-settings');
+      return target ? target === this.el.id : this.el.contains(element);
+    });
+    const scripts = elements.filter(element => element.matches('script'));
+
+    scripts.forEach(script => {
+      try {
+        Object.assign(settings, this.validateSettings(JSON.parse(script.textContent), 'JSON settings'));
+      } catch (error) {
+        console.warn(`[${this.pluginName}] Section "${this.el.id}": invalid JSON settings`, error);
+      }
+    });
+
+    elements.filter(element => !scripts.includes(element)).forEach(element => {
+      // data-wm-scroll-per-item="400" -> scrollPerItem: 400
+      const attributes = {};
+      Array.from(element.attributes).forEach(({ name, value }) => {
+        if (!name.startsWith('data-wm-') || name === 'data-wm-timeline-settings') return;
+        const key = name.slice(8).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        attributes[key] = this.parseAttributeSetting(key, value);
+      });
+      Object.assign(settings, this.validateSettings(attributes, 'data-wm-* attributes'));
+    });
+    return settings;
+  }
+
+  // Attribute values are strings; read them as the setting expects
+  parseAttributeSetting(key, value) {
+    const spec = WMHorizontalTimeline.settingsSchema[key];
+    if (spec?.type === 'string') return value;
+    const text = value.trim();
+    if (text === '' || text === 'true') return true;
+    if (text === 'false') return false;
+    if (spec?.type === 'number' && text !== '' && !Number.isNaN(Number(text))) return Number(text);
+    if (/^[[{]/.test(text)) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return value;
+      }
+    }
+    return value;
+  }
+
+  // Keeps the settings that match the schema; unknown keys and bad values fall back to the defaults
+  validateSettings(settings, source) {
+    const valid = {};
+    const warn = (message) => console.warn(`[${this.pluginName}] Section "${this.el.id}" (${source}): ${message}`);
+    if (!this.isPlainObject(settings)) {
+      if (settings !== undefined && settings !== null) warn('settings must be an object; ignoring them');
+      return valid;
+    }
+
+    Object.entries(settings).forEach(([key, value]) => {
+      const spec = WMHorizontalTimeline.settingsSchema[key];
+      if (!spec) {
+        const suggestion = this.getSettingSuggestion(key);
+        warn(`unknown setting "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}; ignoring it`);
+        return;
+      }
+      const problem = this.getSettingProblem(spec, value);
+      if (problem) {
+        warn(`${key} ${problem}; ignoring it`);
+        return;
+      }
+      if (key === 'breakpoints') {
+        valid.breakpoints = {};
+        Object.entries(value).forEach(([minWidth, overrides]) => {
+          if (Number.isNaN(Number(minWidth))) {
+            warn(`breakpoint "${minWidth}" should be a minimum width in pixels; ignoring it`);
+            return;
+          }
+          const { breakpoints, ...rest } = this.isPlainObject(overrides) ? overrides : {};
+          if (breakpoints) warn(`breakpoints can't be nested; ignoring them in breakpoint ${minWidth}`);
+          valid.breakpoints[minWidth] = this.validateSettings(rest, `${source}, breakpoint ${minWidth}`);
+        });
+        return;
+      }
+      valid[key] = value;
+    });
+    return valid;
+  }
+
+  // Describes why a value doesn't fit its schema entry, or null when it does
+  getSettingProblem(spec, value) {
+    if (spec.values?.includes(value)) return null;
+    if (spec.tokens && typeof value === 'string') {
+      const unknown = value.split(/\s+/).filter(token => token && !spec.tokens.includes(token));
+      if (value.trim() && unknown.length === 0) return null;
+      return `has unknown option${unknown.length === 1 ? '' : 's'} ${unknown.map(t => `"${t}"`).join(', ') || '""'} (expected ${spec.tokens.map(t => `"${t}"`).join(', ')})`;
+    }
+    const types = [].concat(spec.type || []);
+    const matches = {
+      number: () => Number.isFinite(value),
+      array: () => Array.isArray(value),
+      object: () => this.isPlainObject(value),
+      element: () => value instanceof Element,
+      boolean: () => typeof value === 'boolean',
+      string: () => typeof value === 'string'
+    };
+    if (types.some(type => matches[type]())) return null;
+
+    const expected = spec.values
+      ? `one of ${spec.values.map(v => JSON.stringify(v)).join(', ')}`
+      : types.map(type => `${['array', 'object', 'element'].includes(type) ? 'an' : 'a'} ${type}`).join(' or ');
+    return `should be ${expected}, got ${JSON.stringify(value)}`;
+  }
+
+  isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  // Closest known setting name for a typo (case or up to two edits away)
+  getSettingSuggestion(key) {
+    const distance = (a, b) => {
+      const row = Array.from({ length: b.length + 1 }, (v, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const current = row[j];
+          row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+          previous = current;
+        }
+      }
+      return row[b.length];
+    };
+    const lower = key.toLowerCase();
+    let best = null;
+    let bestDistance = 3;
+    Object.keys(WMHorizontalTimeline.settingsSchema).forEach(name => {
+      const d = distance(lower, name.toLowerCase());
+      if (d < bestDistance) {
+        best = name;
+        bestDistance = d;
+      }
+    });
+    return best;
+  }
+
   init() {
     WMHorizontalTimeline.emitEvent(':beforeInit', { el: this.el }, this.el);
     this.addDataAttribute();
     this.extractData();
+
+    // Remote sources finish rendering once loaded; ignore results from a torn-down init
+    const items = this.loadSourceItems();
+    if (items instanceof Promise) {
+      const initId = this.initId;
+      items
+        .then(loaded => {
+          if (initId !== this.initId) return;
+          this.data = loaded;
+          this.render();
+        })
+        .catch(error => {
+          console.error(`[${this.pluginName}] Could not build the timeline from ${this.settings.dataSource} data`, error);
+        });
+      return;
+    }
+    if (items) this.data = items;
+    this.render();
+  }
+
+  render() {
     this.removeOrHideOriginalListSectionContent();
     this.buildLayout();
+    // Detected once built, so the timeline's own height counts towards an ancestor overflowing
+    this.scrollContainer = this.resolveScrollContainer();
+    if (!this.isWindowScroll()) {
+      this.el.setAttribute('data-wm-scroll-container', '');
+    }
     this.calculateDimensions();
+    this.applyInitialDeepLink();
     this.bindEvents();
     WMHorizontalTimeline.emitEvent(':afterInit', { el: this.el }, this.el);
   }
@@ -59,24 +466,49 @@ class WMHorizontalTimeline {
   addDataAttribute() {
     this.el.setAttribute('data-wm-plugin', this.pluginName);
     this.el.setAttribute('data-wm-navigation-type', this.settings.navigationType);
+    this.isRtl = this.resolveDirection() === 'rtl';
+    this.el.toggleAttribute('data-wm-rtl', this.isRtl);
     if (this.settings.itemCards) {
       this.el.setAttribute('data-wm-item-cards', '');
     }
     if (this.settings.mobileLayout) {
       this.el.setAttribute('data-wm-mobile-layout', this.settings.mobileLayout);
     }
+    if (this.settings.desktopLayout) {
+      this.el.setAttribute('data-wm-desktop-layout', this.settings.desktopLayout);
+    }
     if (this.settings.arrowPlacement) {
       this.el.setAttribute('data-wm-arrow-placement', this.settings.arrowPlacement);
     }
     if (this.settings.arrowPlacementMobile) {
       this.el.setAttribute('data-wm-arrow-placement-mobile', this.settings.arrowPlacementMobile);
     }
+    if (this.settings.dateScale) {
+      this.el.setAttribute('data-wm-date-scale', '');
+    }
+    if (this.settings.itemDetail) {
+      this.el.setAttribute('data-wm-item-detail', this.settings.itemDetail);
+    }
+    if (this.settings.activeEmphasis) {
+      this.el.setAttribute('data-wm-emphasis', this.settings.activeEmphasis);
+    }
+    if (this.settings.cssScrollTimeline && this.settings.navigationType === 'scroll' && window.CSS?.supports?.('animation-timeline: view()')) {
+      this.el.setAttribute('data-wm-scroll-timeline', '');
+    }
+    if (this.settings.descriptionLines > 0) {
+      this.el.setAttribute('data-wm-description-lines', '');
+      this.el.style.setProperty('--timeline-description-lines', this.settings.descriptionLines);
+    }
   }
 
   extractData() {
     const container = this.el.querySelector('.user-items-list-item-container');
     if (!container || !container.dataset.currentContext) {
-      console.error(`[${this.pluginName}] No data-current-context found`);
+      // Other data sources don't need a list section
+      if (this.settings.dataSource === 'list') {
+        console.error(`[${this.pluginName}] No data-current-context found`);
+      }
+      this.options = this.options || {};
       return;
     }
 
@@ -90,7 +522,167 @@ class WMHorizontalTimeline {
     this.isSectionButtonEnabled = contextData.isSectionButtonEnabled || false;
   }
 
+  // Data source methods
+  // Returns items for non-list sources: an array, a Promise of one, or null to keep list data
+  loadSourceItems() {
+    const { dataSource } = this.settings;
+    if (!dataSource || dataSource === 'list') return null;
+
+    // Rebuilds reuse the cache until updateSettings() or a breakpoint points at another source
+    const { dataSourceUrl, dataSourceSelector, dataSourceLimit } = this.settings;
+    const key = JSON.stringify([dataSource, dataSourceUrl, dataSourceSelector, dataSourceLimit]);
+    if (this.sourceItems && this.sourceItemsKey === key) return this.sourceItems;
+    this.sourceItems = null;
+    this.sourceItemsKey = key;
+
+    let result;
+    if (dataSource === 'json') {
+      result = this.settings.dataSourceUrl ? this.fetchJsonItems(this.settings.dataSourceUrl) : this.readInlineJsonItems();
+    } else if (dataSource === 'collection') {
+      result = this.fetchCollectionItems(this.settings.dataSourceUrl);
+    } else if (dataSource === 'markup') {
+      result = this.readMarkupItems();
+    } else {
+      console.error(`[${this.pluginName}] Unknown dataSource "${dataSource}"`);
+      return [];
+    }
+
+    if (result instanceof Promise) {
+      return result
+        .then(items => {
+          if (this.sourceItemsKey === key) this.sourceItems = items;
+          return items;
+        })
+        .catch(error => {
+          console.error(`[${this.pluginName}] Could not load ${dataSource} data`, error);
+          return [];
+        });
+    }
+    this.sourceItems = result;
+    return result;
+  }
+
+  // Accepts an array of items or an object with an items array
+  normalizeJsonItems(json) {
+    const items = Array.isArray(json) ? json : json?.items;
+    if (!Array.isArray(items)) return [];
+    return items.map(item => ({
+      title: item.title || '',
+      label: item.label,
+      era: item.era,
+      meta: item.meta || null,
+      description: item.description || '',
+      image: item.image?.assetUrl ? item.image : (item.image ? { assetUrl: item.image } : null),
+      images: item.images || null,
+      video: item.video || null,
+      button: item.button || null
+    }));
+  }
+
+  readInlineJsonItems() {
+    const selector = this.settings.dataSourceSelector || 'script[type="application/json"][data-wm-timeline-data]';
+    const script = this.el.querySelector(selector);
+    if (!script) {
+      console.error(`[${this.pluginName}] No inline JSON found for "${selector}"`);
+      return [];
+    }
+    try {
+      return this.normalizeJsonItems(JSON.parse(script.textContent));
+    } catch (error) {
+      console.error(`[${this.pluginName}] Invalid inline JSON`, error);
+      return [];
+    }
+  }
+
+  fetchJsonItems(url) {
+    return fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return response.json();
+      })
+      .then(json => this.normalizeJsonItems(json));
+  }
+
+  // Squarespace collection feed: each post's date becomes its label, oldest first
+  fetchCollectionItems(url) {
+    if (!url) return Promise.reject(new Error('dataSourceUrl is required for collection data'));
+
+    const limit = this.settings.dataSourceLimit || 100;
+    const posts = [];
+    const loadPage = (pageUrl) => {
+      const requestUrl = new URL(pageUrl, window.location.origin);
+      requestUrl.searchParams.set('format', 'json');
+      return fetch(requestUrl.href)
+        .then(response => {
+          if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+          return response.json();
+        })
+        .then(json => {
+          posts.push(...(json.items || []));
+          const nextPage = json.pagination?.nextPage && json.pagination.nextPageUrl;
+          if (nextPage && posts.length < limit) return loadPage(nextPage);
+          return null;
+        });
+    };
+
+    const locale = document.documentElement.lang || undefined;
+    return loadPage(url).then(() => posts
+      .slice(0, limit)
+      .map(post => ({ post, date: post.startDate || post.publishOn || post.addedOn }))
+      .sort((a, b) => (a.date || 0) - (b.date || 0))
+      .map(({ post, date }) => ({
+        title: post.title || '',
+        label: date ? new Date(date).toLocaleDateString(locale, { month: 'short', year: 'numeric' }) : '',
+        description: post.excerpt || '',
+        image: post.assetUrl ? { assetUrl: post.assetUrl, mediaFocalPoint: post.mediaFocalPoint } : null,
+        button: post.fullUrl ? { buttonText: 'Read more', buttonLink: post.fullUrl } : null
+      })));
+  }
+
+  // Each child of the container is an item: heading = title, img = image,
+  // data-label or <time> = label, a[data-wm-timeline-button] = button, the rest = description
+  readMarkupItems() {
+    const selector = this.settings.dataSourceSelector || '[data-wm-timeline-items]';
+    const container = this.el.querySelector(selector);
+    if (!container) {
+      console.error(`[${this.pluginName}] No markup found for "${selector}"`);
+      return [];
+    }
+    this.sourceElement = container;
+
+    return Array.from(container.children).map(child => {
+      const clone = child.cloneNode(true);
+      const heading = clone.querySelector('h1, h2, h3, h4, h5, h6');
+      const imgs = Array.from(clone.querySelectorAll('img'));
+      const video = clone.querySelector('video, iframe');
+      const time = clone.querySelector('time');
+      const link = clone.querySelector('a[data-wm-timeline-button]');
+
+      const item = {
+        title: heading ? heading.textContent.trim() : '',
+        label: child.dataset.label || (time ? time.textContent.trim() : undefined),
+        meta: { date: time?.getAttribute('datetime'), ...child.dataset },
+        image: imgs[0] ? { assetUrl: imgs[0].getAttribute('src') } : null,
+        images: imgs.slice(1).map(img => img.getAttribute('src')),
+        video: video ? (video.getAttribute('src') || video.querySelector('source')?.getAttribute('src')) : null,
+        button: link ? {
+          buttonText: link.textContent.trim(),
+          buttonLink: link.getAttribute('href'),
+          buttonNewWindow: link.target === '_blank'
+        } : null
+      };
+
+      [heading, ...imgs, video, time, link].forEach(el => el?.remove());
+      item.description = clone.innerHTML.trim();
+      return item;
+    });
+  }
+
   removeOrHideOriginalListSectionContent() {
+    if (this.sourceElement) {
+      this.sourceElement.style.display = 'none';
+    }
+
     if (!this.originalContainer) return;
 
     // Hide the entire user-items-list in the plugin view
@@ -110,13 +702,79 @@ class WMHorizontalTimeline {
     return txt.value;
   }
 
+  // Allowlist sanitiser for every piece of HTML the plugin injects. Parsing happens in an inert
+  // document, so nothing runs or loads before the unsafe parts are gone.
+  sanitizeHtml(html) {
+    if (!html) return '';
+    const { allowedTags, allowedAttributes, droppedTags, urlAttributes } = WMHorizontalTimeline;
+    const tags = new Set([...allowedTags, ...(this.settings.allowedTags || [])].map(tag => tag.toLowerCase()));
+    const attributes = {};
+    [allowedAttributes, this.settings.allowedAttributes || {}].forEach(source => {
+      Object.entries(source).forEach(([tag, names]) => {
+        const key = tag.toLowerCase();
+        attributes[key] = new Set([...(attributes[key] || []), ...names.map(name => name.toLowerCase())]);
+      });
+    });
+
+    const doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html;
+
+    const clean = (parent) => {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          node.remove();
+          return;
+        }
+
+        const tag = node.tagName.toLowerCase();
+        if (!tags.has(tag)) {
+          // Unknown tags keep their text; scripts, embeds and the like go entirely
+          if (droppedTags.includes(tag)) {
+            node.remove();
+          } else {
+            clean(node);
+            node.replaceWith(...node.childNodes);
+          }
+          return;
+        }
+
+        Array.from(node.attributes).forEach(({ name }) => {
+          const attr = name.toLowerCase();
+          const isAllowed = attributes['*']?.has(attr) || attributes[tag]?.has(attr);
+          // Event handlers and script URLs never survive, whatever the allowlist says
+          if (!isAllowed || attr.startsWith('on') || (urlAttributes.includes(attr) && !this.isSafeUrl(node.getAttribute(name)))) {
+            node.removeAttribute(name);
+          }
+        });
+        if (tag === 'a' && node.getAttribute('target') === '_blank') {
+          node.setAttribute('rel', 'noopener noreferrer');
+        }
+        clean(node);
+      });
+    };
+    clean(doc.body);
+    return doc.body.innerHTML;
+  }
+
+  // Relative URLs and http(s), mailto and tel links; browsers ignore whitespace and control characters in schemes
+  isSafeUrl(url) {
+    const value = String(url || '').replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase());
+  }
+
+  sanitizeUrl(url) {
+    return url && this.isSafeUrl(url) ? url : '#';
+  }
+
   sanitizeTitleHtml(html) {
     if (!html) return '';
     // Decode HTML entities
     const decoded = this.decodeHtml(html);
     // Create a temporary container
     const temp = document.createElement('div');
-    temp.innerHTML = decoded;
+    temp.innerHTML = this.sanitizeHtml(decoded);
     // Remove empty <p> elements
     const emptyPs = temp.querySelectorAll('p');
     emptyPs.forEach(p => {
@@ -130,11 +788,10 @@ class WMHorizontalTimeline {
   buildLayout() {
     if (!this.data || this.data.length === 0) return;
 
-    // Find the user-items-list to insert the plugin as a sibling
-    const userItemsList = this.el.querySelector('.user-items-list');
-    if (!userItemsList || !userItemsList.parentElement) return;
-
-    const contentElement = userItemsList.parentElement;
+    // Insert the plugin as a sibling of the user-items-list (or the markup it was read from)
+    const anchor = this.el.querySelector('.user-items-list') || this.sourceElement;
+    const mountElement = anchor ? null : (this.el.querySelector('.content') || this.el);
+    if (anchor && !anchor.parentElement) return;
 
     // Create the scroll spacer for sticky behavior
     const scrollSpacer = document.createElement('div');
@@ -187,34 +844,72 @@ class WMHorizontalTimeline {
     // Build progress bar container (just the track, dots move with items)
     const progressContainer = document.createElement('div');
     progressContainer.className = 'wm-timeline-progress-container';
+    progressContainer.setAttribute('aria-hidden', 'true');
 
     const progressTrack = document.createElement('div');
     progressTrack.className = 'wm-timeline-progress-track';
 
     this.progressFill = document.createElement('div');
     this.progressFill.className = 'wm-timeline-progress-fill';
+    this.progressTrack = progressTrack;
 
     progressTrack.appendChild(this.progressFill);
     progressContainer.appendChild(progressTrack);
     timelineArea.appendChild(progressContainer);
 
+    // Eras track sits above the progress track and moves with it
+    this.erasTrack = document.createElement('div');
+    this.erasTrack.className = 'wm-timeline-eras-track';
+    this.erasTrack.setAttribute('aria-hidden', 'true');
+    progressContainer.appendChild(this.erasTrack);
+
     // Build items track container (dots are now part of each item)
     const itemsContainer = document.createElement('div');
     itemsContainer.className = 'wm-timeline-items-container';
 
     this.itemsTrack = document.createElement('div');
     this.itemsTrack.className = 'wm-timeline-items-track';
+    this.itemsTrack.setAttribute('role', 'list');
+    this.itemsTrack.setAttribute('aria-roledescription', 'timeline');
+    this.itemsTrack.setAttribute('aria-label', this.getTimelineLabel());
 
-    this.data.forEach((item, index) => {
+    this.getOrderedData().forEach((item, index) => {
       const result = this.buildTimelineItem(item, index);
       this.itemsTrack.appendChild(result.element);
-      // Store reference to the dot inside the item
-      const dot = result.element.querySelector('.wm-timeline-dot');
-      if (dot) this.dots.push(dot);
+      this.allItems.push(result.element);
       // Add label to labels track
       this.labelsTrack.appendChild(result.labelWrapper);
+      this.allLabelWrappers.push(result.labelWrapper);
     });
 
+    // Category chips under the section title; a selection kept from before a rebuild applies straight away
+    if (this.settings.filters) {
+      this.filtersBar = this.buildFilters();
+      if (this.filtersBar) this.timelineWrapper.appendChild(this.filtersBar);
+    }
+    if (!this.filtersBar) this.activeCategories.clear();
+
+    if (this.settings.search) {
+      this.timelineWrapper.appendChild(this.buildSearch());
+    }
+    this.applyVisibleItems(this.allItems.filter(item => this.matchesFilter(item)));
+
+    // Large timelines build item bodies as they come into view (see updateVirtualWindow)
+    const { virtualize } = this.settings;
+    this.isVirtualized = virtualize === true || (virtualize === 'auto' && this.data.length > 50);
+    if (this.isVirtualized) {
+      this.allItems.forEach(item => item.classList.add('wm-timeline-item--placeholder'));
+    } else {
+      this.items.forEach((item, i) => this.mountItemBody(i));
+    }
+
+    if (this.settings.dateScale) {
+      this.itemDates = this.resolveItemDates();
+    }
+
+    this.eras = this.resolveEras();
+    this.buildEras();
+
     itemsContainer.appendChild(this.itemsTrack);
     timelineArea.appendChild(itemsContainer);
 
@@ -245,11 +940,38 @@ class WMHorizontalTimeline {
 
       arrowsWrapper.appendChild(this.prevButton);
       arrowsWrapper.appendChild(this.nextButton);
+
+      // Play/pause toggle
+      if (this.settings.autoplay) {
+        this.autoplayToggle = document.createElement('button');
+        this.autoplayToggle.type = 'button';
+        this.autoplayToggle.className = 'wm-timeline-arrow wm-timeline-autoplay-toggle';
+        this.autoplayToggle.setAttribute('aria-label', 'Pause autoplay');
+        this.autoplayToggle.innerHTML = `<div class="wm-timeline-arrow-bg"></div>
+          <svg class="wm-timeline-autoplay-icon--pause" viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg">
+            <path d="M4 2H7.5V16H4Z"></path>
+            <path d="M10.5 2H14V16H10.5Z"></path>
+          </svg>
+          <svg class="wm-timeline-autoplay-icon--play" viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg">
+            <path d="M4.5 2L15 9L4.5 16Z"></path>
+          </svg>`;
+        arrowsWrapper.appendChild(this.autoplayToggle);
+      }
+
       timelineArea.appendChild(arrowsWrapper);
+    } else if (this.settings.autoplay) {
+      console.warn(`[${this.pluginName}] autoplay needs navigationType: 'arrows'; ignoring it`);
     }
 
     this.timelineWrapper.appendChild(timelineArea);
 
+    // Polite live region announcing the active item
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'wm-timeline-live-region';
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    this.timelineWrapper.appendChild(this.liveRegion);
+
     // Build section button if enabled in list section settings
     if (this.isSectionButtonEnabled && this.sectionButton && this.sectionButton.buttonText) {
       const buttonWrapper = document.createElement('div');
@@ -257,7 +979,7 @@ class WMHorizontalTimeline {
       
       const buttonLink = document.createElement('a');
       buttonLink.className = 'wm-timeline-button sqs-block-button-element sqs-button-element--primary';
-      buttonLink.href = this.sectionButton.buttonLink || '#';
+      buttonLink.href = this.sanitizeUrl(this.sectionButton.buttonLink);
       buttonLink.textContent = this.sectionButton.buttonText;
       if (this.sectionButton.buttonNewWindow) {
         buttonLink.target = '_blank';
@@ -270,24 +992,215 @@ class WMHorizontalTimeline {
 
     stickyWrapper.appendChild(this.timelineWrapper);
     scrollSpacer.appendChild(stickyWrapper);
+
+    if (this.settings.itemDetail) {
+      scrollSpacer.appendChild(this.buildModal());
+    }
     
     // Insert as sibling to user-items-list (after it)
-    userItemsList.insertAdjacentElement('afterend', scrollSpacer);
+    if (anchor) {
+      anchor.insertAdjacentElement('afterend', scrollSpacer);
+    } else {
+      mountElement.appendChild(scrollSpacer);
+    }
+  }
+
+  getTimelineLabel() {
+    if (!this.sectionTitle) return 'Timeline';
+    const temp = document.createElement('div');
+    temp.innerHTML = this.sanitizeTitleHtml(this.sectionTitle);
+    return temp.textContent.trim() || 'Timeline';
+  }
+
+  // Squarespace CDN sizes via ?format=; other hosts get the URL as given
+  getImageUrl(assetUrl, format) {
+    if (!this.isSquarespaceImage(assetUrl)) return assetUrl;
+    return `${assetUrl}${assetUrl.includes('?') ? '&' : '?'}format=${format}`;
+  }
+
+  getItemLabel(index) {
+    return this.items[index]?.querySelector('.wm-timeline-item-label-inline')?.textContent.trim() || '';
+  }
+
+  getItemTitle(index) {
+    return this.options.isTitleEnabled !== false ? this.itemSources.get(this.items[index])?.title || '' : '';
+  }
+
+  // Item metadata methods
+  /*
+   * Items can carry metadata in either (or both) of two forms that survive the list editor:
+   *   Title:       "[1998] [Early Years] [featured] [color: #c4572b] Founded"
+   *                (bare tokens are the label, then the era; "key: value" tokens are metadata)
+   *   Description: trailing lines such as "date: 1998-03-14", "end: 2004", "icon: ★",
+   *                "color: #c4572b", "category: Product", "featured: yes", "id: founding",
+   *                "video: https://youtu.be/…", "images: /a.jpg, /b.jpg"
+   * Data sources may also pass them as item.meta.
+   */
+  getMetaKey(key) {
+    const aliases = {
+      label: 'label',
+      era: 'era',
+      date: 'date',
+      start: 'date',
+      end: 'end',
+      enddate: 'end',
+      until: 'end',
+      icon: 'icon',
+      color: 'color',
+      colour: 'color',
+      accent: 'color',
+      category: 'category',
+      categories: 'category',
+      tag: 'category',
+      featured: 'featured',
+      id: 'id',
+      anchor: 'id',
+      video: 'video',
+      images: 'images',
+      gallery: 'images'
+    };
+    return aliases[String(key).toLowerCase().replace(/[\s_-]+/g, '')] || null;
+  }
+
+  setMetaValue(meta, key, value) {
+    const name = this.getMetaKey(key);
+    if (!name || value === undefined || value === null) return false;
+    const text = String(value).trim();
+    if (name === 'featured') {
+      meta.featured = !/^(no|false|0|off)$/i.test(text);
+    } else if (name === 'id') {
+      meta.id = this.slugify(text);
+    } else if (text) {
+      meta[name] = text;
+    }
+    return true;
+  }
+
+  parseItemMeta(item) {
+    const meta = {};
+    Object.entries(item.meta || {}).forEach(([key, value]) => this.setMetaValue(meta, key, value));
+
+    // Title tokens; explicit item.label / item.era from other data sources win
+    const bareTokens = [];
+    const title = (item.title || '').replace(/\s*\[([^\]]+)\]\s*/g, (token, content) => {
+      const pair = content.match(/^([^:]+):\s*(.*)$/);
+      if (pair && this.setMetaValue(meta, pair[1], pair[2])) return ' ';
+      if (this.getMetaKey(content) === 'featured') {
+        meta.featured = true;
+        return ' ';
+      }
+      // Explicit labels keep bare tokens in the title, as does a third one
+      if (item.label !== undefined || bareTokens.length >= 2) return token;
+      bareTokens.push(content.trim());
+      return ' ';
+    }).trim();
+
+    // Trailing "key: value" lines of the description; stops at the first line that isn't metadata
+    let description = this.sanitizeHtml(item.description || '');
+    if (description) {
+      // Read in an inert document, as sanitizeHtml does, with lines split at <br> nodes
+      const container = document.implementation.createHTMLDocument('').body;
+      container.innerHTML = description;
+      const descriptionMeta = {};
+      let block = container.lastElementChild;
+      while (block && block.matches('p')) {
+        const lines = [''];
+        const walker = container.ownerDocument.createTreeWalker(block, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+          const node = walker.currentNode;
+          if (node.nodeName === 'BR') lines.push('');
+          else if (node.nodeType === Node.TEXT_NODE) lines[lines.length - 1] += node.data;
+        }
+        const pairs = lines.map(line => line.trim()).filter(Boolean).map(line => line.match(/^([a-z][a-z _-]*):\s*(.+)$/i));
+        if (!pairs.length || pairs.some(pair => !pair || !this.getMetaKey(pair[1]))) break;
+        // Earlier lines win, so apply this block after any that follow it
+        pairs.reverse().forEach(pair => this.setMetaValue(descriptionMeta, pair[1], pair[2]));
+        const previous = block.previousElementSibling;
+        block.remove();
+        block = previous;
+      }
+      if (Object.keys(descriptionMeta).length) {
+        Object.entries(descriptionMeta).forEach(([key, value]) => {
+          if (!(key in meta)) meta[key] = value;
+        });
+        description = container.innerHTML.trim();
+      }
+    }
+
+    const label = item.label ?? meta.label ?? bareTokens[0] ?? meta.date ?? '';
+    if (item.era) meta.era = item.era;
+    else if (!meta.era && bareTokens[1]) meta.era = bareTokens[1];
+
+    return { title, label, description, meta };
+  }
+
+  // Exposes metadata as data-* attributes and --timeline-item-* custom properties
+  applyItemMeta(itemWrapper, meta) {
+    ['era', 'date', 'end', 'icon', 'category'].forEach(key => {
+      if (meta[key]) itemWrapper.dataset[key] = meta[key];
+    });
+    if (meta.category) {
+      itemWrapper.dataset.categorySlug = meta.category.split(',').map(c => this.slugify(c)).filter(Boolean).join(' ');
+    }
+    if (meta.color) {
+      itemWrapper.dataset.accent = meta.color;
+      itemWrapper.style.setProperty('--timeline-item-accent', meta.color);
+    }
+    if (meta.featured) {
+      itemWrapper.dataset.featured = '';
+      itemWrapper.classList.add('wm-timeline-item--featured');
+    }
+    if (meta.id) {
+      // Namespaced under the section so it can't clash with other ids on the page; the bare
+      // value still works as a #link through data-anchor (see readDeepLink)
+      const id = `wm-timeline-${this.el.id}-${meta.id}`;
+      if (!this.allItems.some(item => item.id === id)) {
+        itemWrapper.id = id;
+        itemWrapper.dataset.anchor = meta.id;
+      }
+    }
+  }
+
+  getItemMetaDate(index) {
+    return this.items[index]?.dataset.date || this.getItemLabel(index);
+  }
+
+  // Display order of the source items; the list section itself is never reordered
+  getOrderedData() {
+    const order = this.settings.itemOrder;
+    if (order === 'reverse') return [...this.data].reverse();
+    if (order !== 'oldest' && order !== 'newest') return this.data;
+
+    // Stable, so items sharing a date (and the undated ones) keep their source order
+    const sign = order === 'newest' ? -1 : 1;
+    return this.data
+      .map((item, index) => {
+        const { label, meta } = this.parseItemMeta(item);
+        return { item, index, time: this.parseLabelDate(meta.date || label) };
+      })
+      .sort((a, b) => {
+        if (a.time === null || b.time === null) {
+          return (a.time === null) - (b.time === null) || a.index - b.index;
+        }
+        return sign * (a.time - b.time) || a.index - b.index;
+      })
+      .map(({ item }) => item);
   }
 
   buildTimelineItem(item, index) {
     const itemWrapper = document.createElement('div');
     itemWrapper.className = 'wm-timeline-item';
     itemWrapper.dataset.index = index;
+    itemWrapper.setAttribute('role', 'listitem');
+    itemWrapper.tabIndex = -1;
 
-    // Extract label from title if enclosed in []
-    let titleText = item.title || '';
-    let labelText = '';
-    const labelMatch = titleText.match(/\[([^\]]+)\]/);
-    if (labelMatch) {
-      labelText = labelMatch[1];
-      titleText = titleText.replace(/\s*\[[^\]]+\]\s*/, ' ').trim();
-    }
+    const parsed = this.parseItemMeta(item);
+    const { title: titleText, label: labelText, meta } = parsed;
+    this.applyItemMeta(itemWrapper, meta);
+    this.itemSources.set(itemWrapper, { item, ...parsed });
+
+    // Dots and labels jump to their item; like the items they keep a roving tabindex
+    const navLabel = `Go to ${labelText || titleText || `item ${index + 1}`}`;
 
     // Create label wrapper for labels track (always create for alignment)
     const labelWrapper = document.createElement('div');
@@ -295,8 +1208,11 @@ class WMHorizontalTimeline {
     labelWrapper.dataset.index = index;
     
     if (labelText) {
-      const label = document.createElement('p');
+      const label = document.createElement('button');
+      label.type = 'button';
       label.className = 'wm-timeline-item-label';
+      label.tabIndex = -1;
+      label.setAttribute('aria-label', navLabel);
       label.textContent = labelText;
       labelWrapper.appendChild(label);
     }
@@ -310,33 +1226,48 @@ class WMHorizontalTimeline {
     }
 
     // Dot (moves with item)
-    const dot = document.createElement('div');
+    const dot = document.createElement('button');
+    dot.type = 'button';
     dot.className = 'wm-timeline-dot';
     dot.dataset.index = index;
+    dot.tabIndex = -1;
+    dot.setAttribute('aria-label', navLabel);
     itemWrapper.appendChild(dot);
 
-    // Image
-    if (item.image && item.image.assetUrl && this.options.isMediaEnabled !== false) {
-      const mediaWrapper = document.createElement('div');
-      mediaWrapper.className = 'wm-timeline-item-media';
-      
-      const img = document.createElement('img');
-      img.src = `${item.image.assetUrl}?format=750w`;
-      img.alt = item.title || '';
-      img.loading = 'lazy';
-      
-      const focalX = item.image.mediaFocalPoint?.x ?? 0.5;
-      const focalY = item.image.mediaFocalPoint?.y ?? 0.5;
-      img.style.objectPosition = `${focalX * 100}% ${focalY * 100}%`;
-      
-      mediaWrapper.appendChild(img);
-      itemWrapper.appendChild(mediaWrapper);
+    return { element: itemWrapper, labelWrapper: labelWrapper };
+  }
+
+  // Media and text of an item, built when it first comes near the visible part of the track
+  buildItemBody(itemWrapper) {
+    const { item, title: titleText, label: labelText, description: descriptionHtml, meta } = this.itemSources.get(itemWrapper);
+    const nodes = [];
+
+    // Media: video, image or a small carousel of both
+    const media = this.getItemMedia(item, meta);
+    if (media.length && this.options.isMediaEnabled !== false) {
+      nodes.push(this.buildItemMedia(media, titleText));
     }
 
     // Content wrapper for text elements
     const contentWrapper = document.createElement('div');
     contentWrapper.className = 'wm-timeline-item-content';
 
+    // Icon (emoji/text or an image URL) from the item's metadata
+    if (meta.icon) {
+      const icon = document.createElement('span');
+      icon.className = 'wm-timeline-item-icon';
+      icon.setAttribute('aria-hidden', 'true');
+      if (/^(https?:)?\/\/|^\/|\.(svg|png|jpe?g|gif|webp)(\?|$)/i.test(meta.icon)) {
+        const iconImg = document.createElement('img');
+        iconImg.src = meta.icon;
+        iconImg.alt = '';
+        icon.appendChild(iconImg);
+      } else {
+        icon.textContent = meta.icon;
+      }
+      contentWrapper.appendChild(icon);
+    }
+
     // Title
     if (titleText && this.options.isTitleEnabled !== false) {
       const title = document.createElement('h3');
@@ -346,33 +1277,57 @@ class WMHorizontalTimeline {
     }
 
     // Description
-    if (item.description && this.options.isBodyEnabled !== false) {
+    if (descriptionHtml && this.options.isBodyEnabled !== false) {
       const description = document.createElement('div');
       description.className = 'wm-timeline-item-description';
-      description.innerHTML = item.description;
+      description.innerHTML = descriptionHtml;
       contentWrapper.appendChild(description);
     }
 
     // Button
-    if (item.button && item.button.buttonText && this.options.isButtonEnabled !== false) {
-      const buttonWrapper = document.createElement('div');
+    let buttonWrapper = null;
+    const button = this.buildItemButton(item);
+    if (button) {
+      buttonWrapper = document.createElement('div');
       buttonWrapper.className = 'wm-timeline-item-button-wrapper';
-      
-      const button = document.createElement('a');
-      button.className = 'wm-timeline-item-button sqs-block-button-element sqs-button-element--secondary';
-      button.href = item.button.buttonLink || '#';
-      button.textContent = item.button.buttonText;
-      if (item.button.buttonNewWindow) {
-        button.target = '_blank';
-        button.rel = 'noopener noreferrer';
-      }
-      
       buttonWrapper.appendChild(button);
       contentWrapper.appendChild(buttonWrapper);
     }
 
-    itemWrapper.appendChild(contentWrapper);
-    return { element: itemWrapper, labelWrapper: labelWrapper };
+    // "Read more" opens the detail modal
+    if (this.settings.itemDetail) {
+      if (!buttonWrapper) {
+        buttonWrapper = document.createElement('div');
+        buttonWrapper.className = 'wm-timeline-item-button-wrapper';
+        contentWrapper.appendChild(buttonWrapper);
+      }
+      const moreButton = document.createElement('button');
+      moreButton.type = 'button';
+      moreButton.className = 'wm-timeline-item-more';
+      moreButton.textContent = this.settings.itemDetailButtonText;
+      moreButton.setAttribute('aria-haspopup', 'dialog');
+      if (titleText || labelText) {
+        moreButton.setAttribute('aria-label', `${this.settings.itemDetailButtonText}: ${titleText || labelText}`);
+      }
+      buttonWrapper.appendChild(moreButton);
+    }
+
+    nodes.push(contentWrapper);
+    return nodes;
+  }
+
+  buildItemButton(item) {
+    if (!item.button || !item.button.buttonText || this.options.isButtonEnabled === false) return null;
+
+    const button = document.createElement('a');
+    button.className = 'wm-timeline-item-button sqs-block-button-element sqs-button-element--secondary';
+    button.href = this.sanitizeUrl(item.button.buttonLink);
+    button.textContent = item.button.buttonText;
+    if (item.button.buttonNewWindow) {
+      button.target = '_blank';
+      button.rel = 'noopener noreferrer';
+    }
+    return button;
   }
 
   calculateDimensions() {
@@ -381,179 +1336,992 @@ class WMHorizontalTimeline {
     const scrollSpacer = this.el.querySelector('.wm-timeline-scroll-spacer');
     if (!scrollSpacer) return;
 
-    const isMobile = window.innerWidth <= 767;
-    const isVerticalMobile = isMobile && this.settings.mobileLayout === 'vertical';
+    this.applyLayout();
+    this.layoutDateScale();
+    this.layoutEras();
 
-    // For arrow navigation or vertical mobile layout, no extra scroll height needed
-    if (this.settings.navigationType === 'arrows' || isVerticalMobile) {
+    // For arrow navigation or vertical layouts, no extra scroll height needed
+    if (this.settings.navigationType === 'arrows' || this.isVerticalLayout()) {
       scrollSpacer.style.height = 'auto';
+      this.measureGeometry();
       return;
     }
 
     // Get viewport height and timeline content height
-    const viewportHeight = window.innerHeight;
+    const viewportHeight = this.getViewportHeight();
     const stickyWrapper = this.el.querySelector('.wm-timeline-sticky-wrapper');
     const contentHeight = stickyWrapper ? stickyWrapper.offsetHeight : viewportHeight;
 
     // Calculate total scroll distance needed
     // We need enough scroll to move through all items
-    const itemCount = this.data.length;
+    const itemCount = this.items.length;
     const scrollPerItem = this.settings.scrollPerItem || 300;
     
+    // On a date scale, scroll distance follows track length (time) rather than item count
+    const scrollDistance = itemCount * scrollPerItem * this.dateScaleRatio;
+    
     // Total scroll height = viewport (for initial stick) + scroll distance for all items + viewport (for unstick)
-    this.scrollHeight = contentHeight + (itemCount * scrollPerItem);
+    this.scrollHeight = contentHeight + scrollDistance;
     
     // Set the scroll spacer height
     scrollSpacer.style.height = `${this.scrollHeight}px`;
+    this.measureGeometry();
   }
 
-  updateTimeline() {
-    const scrollSpacer = this.el.querySelector('.wm-timeline-scroll-spacer');
-    if (!scrollSpacer || !this.itemsTrack || !this.progressFill) return;
+  // Date scale methods
+  parseLabelDate(text) {
+    if (!text) return null;
+    const value = text.trim();
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const toTimestamp = (year, month = 0, day = 1) => {
+      const date = new Date(Date.UTC(2000, month, day));
+      date.setUTCFullYear(year);
+      return date.getTime();
+    };
 
-    const isMobile = window.innerWidth <= 767;
-    const isVertical = isMobile && this.settings.mobileLayout === 'vertical';
+    // "1998", "1998-03", "1998-03-14"
+    let match = value.match(/^(\d{1,4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (match) {
+      return toTimestamp(+match[1], match[2] ? match[2] - 1 : 0, match[3] ? +match[3] : 1);
+    }
 
-    if (isVertical) {
-      const timelineArea = this.el.querySelector('.wm-timeline-area');
-      if (!timelineArea) return;
-      
-      const areaRect = timelineArea.getBoundingClientRect();
-      const viewportHeight = window.innerHeight;
-      const threshold = viewportHeight * 0.3;
-      
-      const scrollStart = threshold - areaRect.top;
-      const scrollRange = areaRect.height - threshold;
-      
-      let progress = Math.max(0, Math.min(1, scrollStart / scrollRange));
-
-      this.progressFill.style.height = `${progress * 100}%`;
-      this.progressFill.style.width = '100%';
-
-      const progressTrack = this.el.querySelector('.wm-timeline-progress-track');
-      if (progressTrack) {
-        const trackRect = progressTrack.getBoundingClientRect();
-        const progressFillBottom = trackRect.top + (progress * trackRect.height);
-
-        this.dots.forEach((dot) => {
-          const dotRect = dot.getBoundingClientRect();
-          const dotCenter = dotRect.top + (dotRect.height / 2);
-          
-          if (progressFillBottom >= dotCenter) {
-            dot.classList.add('wm-timeline-dot--filled');
-          } else {
-            dot.classList.remove('wm-timeline-dot--filled');
-          }
-        });
-      }
-    } else {
-      const rect = scrollSpacer.getBoundingClientRect();
-      const viewportHeight = window.innerHeight;
-      const stickyWrapper = this.el.querySelector('.wm-timeline-sticky-wrapper');
-      const contentHeight = stickyWrapper ? stickyWrapper.offsetHeight : viewportHeight;
+    // "Mar 2021", "March 5, 2021"
+    match = value.match(/^([a-z]+)\.?\s+(?:(\d{1,2})(?:st|nd|rd|th)?,?\s+)?(\d{4})$/i);
+    if (match && months.includes(match[1].slice(0, 3).toLowerCase())) {
+      return toTimestamp(+match[3], months.indexOf(match[1].slice(0, 3).toLowerCase()), match[2] ? +match[2] : 1);
+    }
+
+    // "5 March 2021"
+    match = value.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?,?\s+(\d{4})$/i);
+    if (match && months.includes(match[2].slice(0, 3).toLowerCase())) {
+      return toTimestamp(+match[3], months.indexOf(match[2].slice(0, 3).toLowerCase()), +match[1]);
+    }
 
-      const scrollStart = -rect.top;
-      const scrollRange = this.scrollHeight - contentHeight;
+    // Fall back to any four-digit year, e.g. "c. 1850" or "Spring 2004"
+    match = value.match(/\b(\d{4})\b/);
+    return match ? toTimestamp(+match[1]) : null;
+  }
 
-      let progress = Math.max(0, Math.min(1, scrollStart / scrollRange));
+  // Parsed timestamps per item; unparseable labels are interpolated between their neighbours
+  resolveItemDates() {
+    const parsed = this.items.map((item, i) => this.parseLabelDate(this.getItemMetaDate(i)));
+    const known = parsed.map((time, i) => (time === null ? null : i)).filter(i => i !== null);
+    if (known.length < 2) {
+      console.warn(`[${this.pluginName}] dateScale needs at least two dated [label]s; using even spacing`);
+      return [];
+    }
 
-      this.progressFill.style.width = `${progress * 100}%`;
-      this.progressFill.style.height = '100%';
+    return parsed.map((time, i) => {
+      if (time !== null) return time;
+      const before = known.filter(k => k < i).pop();
+      const after = known.find(k => k > i);
+      if (before === undefined) return parsed[after];
+      if (after === undefined) return parsed[before];
+      return parsed[before] + ((parsed[after] - parsed[before]) * (i - before)) / (after - before);
+    });
+  }
 
-      const itemsContainer = this.el.querySelector('.wm-timeline-items-container');
-      const progressTrack = this.el.querySelector('.wm-timeline-progress-track');
-      const timelineContent = this.el.querySelector('.wm-timeline-content');
-      
-      if (itemsContainer && this.itemsTrack) {
-        const containerWidth = itemsContainer.offsetWidth;
-        const trackWidth = this.itemsTrack.scrollWidth;
-        
-        // Get the content padding to inset the end position
-        const contentPadding = timelineContent 
-          ? parseFloat(getComputedStyle(timelineContent).paddingLeft) || 0 
-          : 0;
-        
-        const maxTranslate = Math.max(0, trackWidth - containerWidth + contentPadding);
-        const translateX = progress * maxTranslate;
-        this.itemsTrack.style.transform = `translateX(-${translateX}px)`;
-        
-        if (this.labelsTrack) {
-          this.labelsTrack.style.transform = `translateX(-${translateX}px)`;
+  layoutDateScale() {
+    if (!this.settings.dateScale || this.itemDates.length < 2 || !this.itemsTrack) return;
+
+    const labelWrappers = this.labelWrappers;
+    const setMargins = (margins) => {
+      this.items.forEach((item, i) => {
+        const margin = margins[i] || '';
+        if (item.style.marginLeft !== margin) item.style.marginLeft = margin;
+        if (labelWrappers[i] && labelWrappers[i].style.marginLeft !== margin) {
+          labelWrappers[i].style.marginLeft = margin;
         }
-        
-        // Sync progress track with items track
-        if (progressTrack) {
-          progressTrack.style.width = `${trackWidth}px`;
-          progressTrack.style.transform = `translateX(-${translateX}px)`;
+      });
+    };
+
+    // The stacked layout keeps its even spacing
+    if (this.isVerticalLayout()) {
+      setMargins([]);
+      this.dateScaleRatio = 1;
+      this.renderDateAxis([]);
+      return;
+    }
+
+    const itemWidth = this.items[0].offsetWidth;
+    const gap = parseFloat(getComputedStyle(this.itemsTrack).columnGap) || 0;
+    const minGap = Number(this.settings.dateMinGap) || 0;
+    const first = this.itemDates[0];
+    // Negative on newest-first timelines, which keeps the proportions below the same
+    const span = this.itemDates[this.itemDates.length - 1] - first;
+    const evenLength = (this.items.length - 1) * (itemWidth + gap);
+
+    // Proportional positions over the even-spaced length, pushed apart where items would collide
+    const positions = [];
+    this.itemDates.forEach((time, i) => {
+      const proportional = span !== 0 ? ((time - first) / span) * evenLength : i * (itemWidth + gap);
+      positions.push(i === 0 ? 0 : Math.max(proportional, positions[i - 1] + itemWidth + minGap));
+    });
+
+    // Flex gap still applies, so margins are the difference from it
+    setMargins(positions.map((position, i) => (
+      i === 0 ? '' : `${position - positions[i - 1] - itemWidth - gap}px`
+    )));
+
+    const length = positions[positions.length - 1];
+    this.dateScaleRatio = evenLength > 0 ? Math.max(1, length / evenLength) : 1;
+    this.renderDateAxis(positions.map(position => position + (itemWidth / 2)));
+  }
+
+  renderDateAxis(centers) {
+    const existing = this.labelsTrack?.querySelector('.wm-timeline-axis');
+    if (existing) existing.remove();
+    if (!this.settings.dateAxisTicks || centers.length < 2 || !this.labelsTrack) return;
+
+    const dates = this.itemDates;
+    const [startYear, endYear] = [dates[0], dates[dates.length - 1]]
+      .map(time => new Date(time).getUTCFullYear())
+      .sort((a, b) => a - b);
+    const spanYears = endYear - startYear;
+    const steps = { years: 1, decades: 10, centuries: 100 };
+    const step = steps[this.settings.dateAxisTicks]
+      || (spanYears <= 15 ? 1 : spanYears <= 150 ? 10 : 100);
+
+    // Map a time onto the track by interpolating between neighbouring item centres
+    const timeToX = (time) => {
+      for (let i = 0; i < dates.length - 1; i++) {
+        // Newest-first timelines count back in time along the track
+        if ((time - dates[i]) * (time - dates[i + 1]) <= 0) {
+          const segment = dates[i + 1] - dates[i];
+          const ratio = segment !== 0 ? (time - dates[i]) / segment : 0;
+          return centers[i] + ((centers[i + 1] - centers[i]) * ratio);
         }
       }
+      return null;
+    };
 
-      // Fill dots based on progress - calculate actual dot positions relative to track
-      if (this.itemsTrack) {
-        const trackWidth = this.itemsTrack.scrollWidth;
-        const progressFillWidth = progress * trackWidth;
-        
-        this.dots.forEach((dot) => {
-          // Get the dot's center position within the items track
-          const item = dot.closest('.wm-timeline-item');
-          if (item) {
-            const itemLeft = item.offsetLeft;
-            const itemWidth = item.offsetWidth;
-            // Dot is centered in the item
-            const dotCenter = itemLeft + (itemWidth / 2);
-            
-            if (progressFillWidth >= dotCenter) {
-              dot.classList.add('wm-timeline-dot--filled');
-            } else {
-              dot.classList.remove('wm-timeline-dot--filled');
-            }
-          }
-        });
-      }
+    const axis = document.createElement('div');
+    axis.className = 'wm-timeline-axis';
+    axis.setAttribute('aria-hidden', 'true');
+
+    const years = [];
+    for (let year = Math.ceil(startYear / step) * step; year <= endYear; year += step) {
+      years.push(year);
     }
-  }
+    if (dates[dates.length - 1] < dates[0]) years.reverse();
 
-  // Arrow navigation methods
+    let lastX = -Infinity;
+    years.forEach(year => {
+      const time = new Date(Date.UTC(2000, 0, 1)).setUTCFullYear(year);
+      const x = timeToX(time);
+      // Skip ticks that would crowd the previous one
+      if (x === null || x - lastX < 48) return;
+      lastX = x;
+
+      const tick = document.createElement('span');
+      tick.className = 'wm-timeline-axis-tick';
+      tick.style.left = `${x}px`;
+      tick.textContent = step >= 10 ? `${year}s` : year;
+      axis.appendChild(tick);
+    });
+
+    this.labelsTrack.appendChild(axis);
+  }
+
+  // Era methods
+  // Consecutive items sharing an era name form one band
+  resolveEras() {
+    const eras = [];
+    this.items.forEach((item, i) => {
+      const name = item.dataset.era;
+      const last = eras[eras.length - 1];
+      if (!name) return;
+      if (last && last.name === name && last.end === i - 1) {
+        last.end = i;
+      } else {
+        eras.push({ name, start: i, end: i, color: this.settings.eraColors?.[name] || null, collapsed: false });
+      }
+    });
+    return eras;
+  }
+
+  buildEras() {
+    if (this.eras.length === 0 || !this.erasTrack || !this.labelsTrack) return;
+    this.el.setAttribute('data-wm-eras', '');
+    if (this.settings.eraFillColor) {
+      this.el.setAttribute('data-wm-era-fill', '');
+    }
+
+    this.eras.forEach((era, i) => {
+      const band = document.createElement('div');
+      band.className = 'wm-timeline-era-band';
+      band.dataset.era = i;
+      if (era.color) band.style.setProperty('--timeline-era-color', era.color);
+      this.erasTrack.appendChild(band);
+
+      // Heading in the labels track: jump to the era, or collapse it
+      const heading = document.createElement('div');
+      heading.className = 'wm-timeline-era-heading';
+      heading.dataset.era = i;
+      if (era.color) heading.style.setProperty('--timeline-era-color', era.color);
+
+      const jumpButton = document.createElement('button');
+      jumpButton.type = 'button';
+      jumpButton.className = 'wm-timeline-era-heading-button';
+      jumpButton.textContent = era.name;
+      jumpButton.addEventListener('click', () => this.navigateToIndex(era.start));
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'wm-timeline-era-toggle';
+      toggle.setAttribute('aria-expanded', 'true');
+      toggle.setAttribute('aria-label', `Collapse ${era.name}`);
+      toggle.addEventListener('click', () => this.toggleEra(i));
+
+      heading.appendChild(jumpButton);
+      heading.appendChild(toggle);
+      this.labelsTrack.appendChild(heading);
+
+      // Inline heading for the stacked vertical layout
+      const inlineHeading = document.createElement('p');
+      inlineHeading.className = 'wm-timeline-era-heading-inline';
+      inlineHeading.textContent = era.name;
+      this.items[era.start].prepend(inlineHeading);
+
+      era.band = band;
+      era.heading = heading;
+      era.toggle = toggle;
+    });
+  }
+
+  // Removes the bands and headings so buildEras can run again over a new set of items
+  clearEras() {
+    this.eras.forEach(era => {
+      era.band?.remove();
+      era.heading?.remove();
+    });
+    this.eras = [];
+    this.allItems.forEach((item, i) => {
+      item.querySelector('.wm-timeline-era-heading-inline')?.remove();
+      item.classList.remove('wm-timeline-item--collapsed');
+      this.allLabelWrappers[i].classList.remove('wm-timeline-label-wrapper--collapsed');
+    });
+    this.el.removeAttribute('data-wm-eras');
+    this.el.removeAttribute('data-wm-era-fill');
+    this.el.style.removeProperty('--timeline-era-fill');
+  }
+
+  toggleEra(eraIndex) {
+    const era = this.eras[eraIndex];
+    if (!era) return;
+    era.collapsed = !era.collapsed;
+
+    for (let i = era.start; i <= era.end; i++) {
+      this.items[i].classList.toggle('wm-timeline-item--collapsed', era.collapsed);
+      this.labelWrappers[i]?.classList.toggle('wm-timeline-label-wrapper--collapsed', era.collapsed);
+    }
+    era.heading.classList.toggle('wm-timeline-era-heading--collapsed', era.collapsed);
+    era.toggle.setAttribute('aria-expanded', era.collapsed ? 'false' : 'true');
+    era.toggle.setAttribute('aria-label', `${era.collapsed ? 'Expand' : 'Collapse'} ${era.name}`);
+
+    this.refresh();
+  }
+
+  layoutEras() {
+    if (this.eras.length === 0 || this.isVerticalLayout()) return;
+    this.eras.forEach(era => {
+      const first = this.items[era.start];
+      const last = this.items[era.end];
+      const left = first.offsetLeft;
+      const width = last.offsetLeft + last.offsetWidth - left;
+      era.band.style.left = `${left}px`;
+      era.band.style.width = `${width}px`;
+      era.heading.style.left = `${left}px`;
+      era.heading.style.maxWidth = `${width}px`;
+    });
+  }
+
+  updateEraState(index) {
+    if (this.eras.length === 0) return;
+    const activeEra = this.eras.find(era => index >= era.start && index <= era.end);
+    this.eras.forEach(era => {
+      const isActive = era === activeEra;
+      era.band.classList.toggle('wm-timeline-era-band--active', isActive);
+      era.heading.classList.toggle('wm-timeline-era-heading--active', isActive);
+    });
+
+    if (this.settings.eraFillColor) {
+      if (activeEra?.color) {
+        this.el.style.setProperty('--timeline-era-fill', activeEra.color);
+      } else {
+        this.el.style.removeProperty('--timeline-era-fill');
+      }
+    }
+  }
+
+  // Filter methods
+  // Chips for each category in item metadata ("category: Product, Design"), plus one that clears the filter
+  buildFilters() {
+    this.filterCategories = new Map();
+    this.allItems.forEach(item => {
+      (item.dataset.category || '').split(',').forEach(name => {
+        const slug = this.slugify(name);
+        if (slug && !this.filterCategories.has(slug)) this.filterCategories.set(slug, name.trim());
+      });
+    });
+    if (this.filterCategories.size === 0) {
+      console.warn(`[${this.pluginName}] filters needs items with category metadata`);
+      return null;
+    }
+
+    // Drop remembered categories that no longer exist
+    this.activeCategories = new Set(
+      Array.from(this.activeCategories).filter(slug => this.filterCategories.has(slug))
+    );
+
+    const filtersBar = document.createElement('div');
+    filtersBar.className = 'wm-timeline-filters';
+    filtersBar.setAttribute('role', 'group');
+    filtersBar.setAttribute('aria-label', `Filter ${this.getTimelineLabel()}`);
+
+    const chips = [['', this.settings.filtersAllText], ...this.filterCategories];
+    chips.forEach(([slug, name]) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'wm-timeline-filter';
+      chip.dataset.category = slug;
+      chip.textContent = name;
+      filtersBar.appendChild(chip);
+    });
+
+    filtersBar.addEventListener('click', (e) => {
+      const chip = e.target.closest('.wm-timeline-filter');
+      if (!chip) return;
+      const { category } = chip.dataset;
+      // Categories toggle on and off; "All" clears them
+      const categories = new Set(category ? this.activeCategories : []);
+      if (category && !categories.delete(category)) categories.add(category);
+      this.setFilter(Array.from(categories));
+    });
+
+    this.updateFilterChips(filtersBar);
+    return filtersBar;
+  }
+
+  updateFilterChips(filtersBar = this.filtersBar) {
+    if (!filtersBar) return;
+    filtersBar.querySelectorAll('.wm-timeline-filter').forEach(chip => {
+      const { category } = chip.dataset;
+      const isPressed = category ? this.activeCategories.has(category) : this.activeCategories.size === 0;
+      chip.setAttribute('aria-pressed', isPressed ? 'true' : 'false');
+      chip.classList.toggle('wm-timeline-filter--active', isPressed);
+    });
+  }
+
+  matchesFilter(item) {
+    if (this.activeCategories.size === 0) return true;
+    return (item.dataset.categorySlug || '').split(' ').some(slug => this.activeCategories.has(slug));
+  }
+
+  // Shows only the given items and renumbers them, their dots and labels
+  applyVisibleItems(items) {
+    this.allItems.forEach((item, i) => {
+      const isVisible = items.includes(item);
+      item.hidden = !isVisible;
+      this.allLabelWrappers[i].hidden = !isVisible;
+    });
+    this.items = items;
+    this.labelWrappers = items.map(item => this.allLabelWrappers[this.allItems.indexOf(item)]);
+    this.dots = items.map(item => item.querySelector('.wm-timeline-dot'));
+    items.forEach((item, i) => {
+      item.dataset.index = i;
+      this.dots[i].dataset.index = i;
+      this.labelWrappers[i].dataset.index = i;
+      // Alternating layouts switch sides by visible position, since :nth-child counts hidden items
+      item.classList.toggle('wm-timeline-item--alt', i % 2 === 1);
+    });
+  }
+
+  // Accepts category names or slugs; an empty list shows every item
+  setFilter(categories = []) {
+    if (!this.filtersBar) return;
+    const slugs = categories.map(category => this.slugify(category)).filter(slug => this.filterCategories.has(slug));
+    this.activeCategories = new Set(slugs);
+    this.updateFilterChips();
+
+    // Fade out the items being removed before the track closes up around them
+    clearTimeout(this.filterTimeout);
+    const leaving = this.items.filter(item => !this.matchesFilter(item));
+    if (leaving.length === 0 || this.prefersReducedMotion()) {
+      this.applyFilter();
+      return;
+    }
+    leaving.forEach(item => item.classList.add('wm-timeline-item--leaving'));
+    const filterDuration = 300; // matches --timeline-filter-duration default
+    this.filterTimeout = setTimeout(() => this.applyFilter(), filterDuration);
+  }
+
+  applyFilter() {
+    const matches = this.allItems.filter(item => this.matchesFilter(item));
+    const previousItems = this.items;
+    const previousItem = this.items[this.currentIndex];
+    const wasPinned = this.settings.navigationType === 'scroll' && !this.isVerticalLayout() && this.isPinned();
+    if (this.isModalOpen()) this.closeModal();
+
+    this.allItems.forEach(item => {
+      item.classList.remove('wm-timeline-item--leaving');
+      const isEntering = matches.includes(item) && !previousItems.includes(item);
+      item.classList.toggle('wm-timeline-item--entering', isEntering && !this.prefersReducedMotion());
+    });
+    this.applyVisibleItems(matches);
+    if (!this.isVirtualized) {
+      this.items.forEach((item, i) => this.mountItemBody(i));
+    }
+
+    // Dates and eras follow the visible items
+    if (this.settings.dateScale) {
+      this.itemDates = this.resolveItemDates();
+    }
+    this.clearEras();
+    this.eras = this.resolveEras();
+    this.buildEras();
+
+    // Stay on the active item if it's still shown, otherwise move to the next one that is
+    let index = matches.indexOf(previousItem);
+    if (index === -1) {
+      const previousPosition = this.allItems.indexOf(previousItem);
+      index = matches.findIndex(item => this.allItems.indexOf(item) > previousPosition);
+      if (index === -1) index = matches.length - 1;
+    }
+    const previousIndex = this.activeIndex;
+    this.currentIndex = index;
+    this.activeIndex = null;
+    this.focusPosition = null;
+    this.renderedRange = null;
+
+    this.calculateDimensions();
+    if (this.settings.navigationType === 'arrows' && !this.isVerticalLayout()) {
+      this.goToIndex(index);
+    } else {
+      if (wasPinned) this.scrollToIndex(index, 'auto');
+      this.updateTimeline();
+    }
+
+    // The reset above renders the active item like a first render, so report the change here
+    if (this.activeIndex !== null && (this.activeIndex !== previousIndex || this.items[this.activeIndex] !== previousItem)) {
+      this.writeDeepLink(this.activeIndex);
+      WMHorizontalTimeline.emitEvent(':change', { el: this.el, previousIndex, currentIndex: this.activeIndex }, this.el);
+    }
+
+    this.updateSearchResults();
+    this.announce(`${matches.length} of ${this.allItems.length} items shown`);
+    WMHorizontalTimeline.emitEvent(':filter', {
+      el: this.el,
+      categories: Array.from(this.activeCategories).map(slug => this.filterCategories.get(slug)),
+      count: matches.length
+    }, this.el);
+  }
+
+  // Search methods
+  buildSearch() {
+    const search = document.createElement('div');
+    search.className = 'wm-timeline-search';
+    search.setAttribute('role', 'search');
+
+    const inputId = `${this.el.id}-search`;
+    const statusId = `${this.el.id}-search-status`;
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.id = inputId;
+    input.className = 'wm-timeline-search-input';
+    input.placeholder = this.settings.searchPlaceholder;
+    input.autocomplete = 'off';
+    input.setAttribute('aria-label', `Search ${this.getTimelineLabel()}`);
+    input.setAttribute('aria-describedby', statusId);
+    input.setAttribute('aria-keyshortcuts', '/');
+
+    const status = document.createElement('span');
+    status.id = statusId;
+    status.className = 'wm-timeline-search-status';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+
+    const buildButton = (direction, label, path) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `wm-timeline-search-button wm-timeline-search-${direction > 0 ? 'next' : 'prev'}`;
+      button.setAttribute('aria-label', label);
+      button.setAttribute('aria-controls', inputId);
+      button.disabled = true;
+      button.innerHTML = `<svg viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="${path}"></path></svg>`;
+      button.addEventListener('click', () => this.stepSearch(direction));
+      return button;
+    };
+
+    search.appendChild(input);
+    search.appendChild(status);
+    search.appendChild(buildButton(-1, 'Previous result (Shift+Enter)', 'M3 12L9 6L15 12'));
+    search.appendChild(buildButton(1, 'Next result (Enter)', 'M3 6L9 12L15 6'));
+
+    input.addEventListener('input', () => {
+      clearTimeout(this.searchTimeout);
+      this.searchTimeout = setTimeout(() => this.search(input.value), 150);
+    });
+    input.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+
+    this.searchInput = input;
+    this.searchStatus = status;
+    return search;
+  }
+
+  // Lower-cased label, title and description of an item, whether or not its body is built
+  getSearchText(item) {
+    const source = this.itemSources.get(item);
+    if (!source) return '';
+    if (source.searchText === undefined) {
+      const description = document.createElement('div');
+      description.innerHTML = this.options.isBodyEnabled !== false ? source.description || '' : '';
+      const title = this.options.isTitleEnabled !== false ? source.title : '';
+      source.searchText = [source.label, title, description.textContent].join(' ').replace(/\s+/g, ' ').toLowerCase();
+    }
+    return source.searchText;
+  }
+
+  // Runs a new query and jumps to the first match from the active item on
+  search(query) {
+    this.searchQuery = String(query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    this.updateSearchResults();
+    if (this.searchResults.length === 0) return;
+    const next = this.searchResults.findIndex(index => index >= this.currentIndex);
+    this.showSearchResult(next === -1 ? 0 : next);
+  }
+
+  // Re-matches the visible items (after a new query or filter) without moving the timeline
+  updateSearchResults() {
+    if (!this.searchInput) return;
+    const current = this.items[this.searchResults[this.searchResultIndex]];
+    this.searchResults = this.searchQuery
+      ? this.items.map((item, i) => (this.getSearchText(item).includes(this.searchQuery) ? i : null)).filter(i => i !== null)
+      : [];
+    const kept = this.searchResults.findIndex(index => this.items[index] === current);
+    this.searchResultIndex = kept !== -1 ? kept : (this.searchResults.length ? 0 : -1);
+
+    this.allItems.forEach(item => this.highlightItem(item));
+    this.updateSearchStatus();
+  }
+
+  showSearchResult(resultIndex) {
+    const count = this.searchResults.length;
+    if (count === 0) return;
+    // Wrap around at either end
+    this.searchResultIndex = ((resultIndex % count) + count) % count;
+    const index = this.searchResults[this.searchResultIndex];
+    this.allItems.forEach(item => {
+      item.classList.toggle('wm-timeline-item--search-current', item === this.items[index]);
+    });
+    this.navigateToIndex(index);
+    this.updateSearchStatus();
+  }
+
+  stepSearch(direction) {
+    this.showSearchResult(this.searchResultIndex + direction);
+  }
+
+  updateSearchStatus() {
+    if (!this.searchStatus) return;
+    const count = this.searchResults.length;
+    let text = '';
+    if (this.searchQuery) {
+      text = count ? `${this.searchResultIndex + 1} of ${count}` : 'No results';
+    }
+    this.searchStatus.textContent = text;
+    this.el.querySelectorAll('.wm-timeline-search-button').forEach(button => {
+      button.disabled = count === 0;
+    });
+  }
+
+  // Wraps matches in the item's label, title and description in <mark>
+  highlightItem(item) {
+    const index = this.allItems.indexOf(item);
+    const roots = [item, this.allLabelWrappers[index]].filter(Boolean);
+    const selector = '.wm-timeline-item-title, .wm-timeline-item-description, .wm-timeline-item-label-inline, .wm-timeline-item-label';
+
+    roots.forEach(root => root.querySelectorAll('mark.wm-timeline-search-mark').forEach(mark => {
+      const parent = mark.parentNode;
+      mark.replaceWith(document.createTextNode(mark.textContent));
+      parent.normalize();
+    }));
+
+    const isMatch = !item.hidden && this.searchQuery && this.getSearchText(item).includes(this.searchQuery);
+    item.classList.toggle('wm-timeline-item--search-match', Boolean(isMatch));
+    if (!isMatch) {
+      item.classList.remove('wm-timeline-item--search-current');
+      return;
+    }
+
+    const query = this.searchQuery;
+    roots.forEach(root => {
+      const containers = [...(root.matches(selector) ? [root] : []), ...root.querySelectorAll(selector)];
+      containers.forEach(container => {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+        textNodes.forEach(node => {
+          const text = node.nodeValue;
+          const lower = text.toLowerCase();
+          let position = lower.indexOf(query);
+          if (position === -1) return;
+          const fragment = document.createDocumentFragment();
+          let last = 0;
+          while (position !== -1) {
+            fragment.appendChild(document.createTextNode(text.slice(last, position)));
+            const mark = document.createElement('mark');
+            mark.className = 'wm-timeline-search-mark';
+            mark.textContent = text.slice(position, position + query.length);
+            fragment.appendChild(mark);
+            last = position + query.length;
+            position = lower.indexOf(query, last);
+          }
+          fragment.appendChild(document.createTextNode(text.slice(last)));
+          node.replaceWith(fragment);
+        });
+      });
+    });
+  }
+
+  handleSearchKeydown(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      // Apply a query still waiting on the debounce before stepping
+      if (this.searchInput.value.trim().replace(/\s+/g, ' ').toLowerCase() !== this.searchQuery) {
+        clearTimeout(this.searchTimeout);
+        this.search(this.searchInput.value);
+        return;
+      }
+      this.stepSearch(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.stepSearch(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Escape') {
+      // First Escape clears the query, the next leaves the box
+      if (this.searchInput.value) {
+        e.preventDefault();
+        clearTimeout(this.searchTimeout);
+        this.searchInput.value = '';
+        this.search('');
+      } else {
+        this.searchInput.blur();
+      }
+    }
+  }
+
+  // "/" focuses the search box of a timeline on screen, unless the user is typing elsewhere
+  handleSearchShortcut(e) {
+    if (e.key !== '/' || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || !this.searchInput) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable]:not([contenteditable="false"])')) return;
+    if (this.isModalOpen()) return;
+    const rect = this.timelineWrapper.getBoundingClientRect();
+    // Relative to the top of the scroll container's viewport
+    const offset = this.getScrollOrigin() - this.getScrollTop();
+    if (rect.bottom + offset <= 0 || rect.top + offset >= this.getViewportHeight()) return;
+    e.preventDefault();
+    this.searchInput.focus({ preventScroll: true });
+    this.searchInput.select();
+  }
+
+  bindSearchEvents() {
+    if (!this.searchInput) return;
+    this.boundHandleSearchShortcut = (e) => this.handleSearchShortcut(e);
+    document.addEventListener('keydown', this.boundHandleSearchShortcut);
+  }
+
+  // Direction methods
+  resolveDirection() {
+    const { direction } = this.settings;
+    if (direction === 'ltr' || direction === 'rtl') return direction;
+    return getComputedStyle(this.el).direction === 'rtl' ? 'rtl' : 'ltr';
+  }
+
+  // Horizontal movement on screen runs against the track when the timeline is mirrored
+  toTrackDelta(x) {
+    return this.isRtl ? -x : x;
+  }
+
+  // Left and right arrow keys swap so they still move towards the item on that side
+  getLogicalKey(key) {
+    if (!this.isRtl) return key;
+    return { ArrowLeft: 'ArrowRight', ArrowRight: 'ArrowLeft' }[key] || key;
+  }
+
+  // Scroll container methods
+  resolveScrollContainer() {
+    const { scrollContainer } = this.settings;
+    let container = null;
+    if (scrollContainer instanceof Element) {
+      container = scrollContainer;
+    } else if (scrollContainer === 'window') {
+      return window;
+    } else if (scrollContainer && scrollContainer !== 'auto') {
+      try {
+        container = document.querySelector(scrollContainer);
+      } catch (error) {
+        container = null;
+      }
+      if (!container) {
+        console.warn(`[${this.pluginName}] No scroll container found for "${scrollContainer}"; detecting one instead`);
+      }
+    }
+
+    // Otherwise the nearest ancestor that actually scrolls (popups, lightboxes, smooth-scroll wrappers)
+    for (let node = this.el.parentElement; !container && node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+      const { overflowY } = getComputedStyle(node);
+      if (['auto', 'scroll', 'overlay'].includes(overflowY) && node.scrollHeight > node.clientHeight) {
+        container = node;
+      }
+    }
+    if (!container || container === document.body || container === document.documentElement) return window;
+    return container;
+  }
+
+  isWindowScroll() {
+    return !this.scrollContainer || this.scrollContainer === window;
+  }
+
+  // What scroll events come from
+  getScrollTarget() {
+    return this.isWindowScroll() ? window : this.scrollContainer;
+  }
+
+  getScrollTop() {
+    return this.isWindowScroll() ? window.scrollY : this.scrollContainer.scrollTop;
+  }
+
+  getViewportHeight() {
+    return this.isWindowScroll() ? window.innerHeight : this.scrollContainer.clientHeight;
+  }
+
+  // Added to a getBoundingClientRect() top, gives the scroll position it sits at in the container
+  getScrollOrigin() {
+    if (this.isWindowScroll()) return window.scrollY;
+    const rect = this.scrollContainer.getBoundingClientRect();
+    return this.scrollContainer.scrollTop - rect.top - this.scrollContainer.clientTop;
+  }
+
+  scrollContainerTo(top, behavior) {
+    this.getScrollTarget().scrollTo({ top, behavior });
+  }
+
+  // Render loop methods
+  // Everything the scroll handler needs, measured once per layout change rather than per frame
+  measureGeometry() {
+    const scrollSpacer = this.el.querySelector('.wm-timeline-scroll-spacer');
+    const stickyWrapper = this.el.querySelector('.wm-timeline-sticky-wrapper');
+    const timelineArea = this.el.querySelector('.wm-timeline-area');
+    if (!scrollSpacer || !this.itemsTrack || !this.progressTrack) return;
+
+    const origin = this.getScrollOrigin();
+    const trackWidth = this.itemsTrack.scrollWidth;
+    const contentHeight = stickyWrapper ? stickyWrapper.offsetHeight : this.getViewportHeight();
+    const maxTranslate = this.getMaxTranslate();
+
+    // The progress track and eras scroll with the items, so they span the full track
+    if (!this.isVerticalLayout()) {
+      this.progressTrack.style.width = `${trackWidth}px`;
+      if (this.erasTrack) this.erasTrack.style.width = `${trackWidth}px`;
+    }
+
+    const areaRect = timelineArea ? timelineArea.getBoundingClientRect() : null;
+    const trackRect = this.progressTrack.getBoundingClientRect();
+    this.geometry = {
+      spacerTop: scrollSpacer.getBoundingClientRect().top + origin,
+      scrollRange: this.scrollHeight - contentHeight,
+      trackWidth,
+      maxTranslate,
+      containerWidth: this.itemsTrack.parentElement.offsetWidth,
+      dotCenters: this.items.map(item => item.offsetLeft + (item.offsetWidth / 2)),
+      // Vertical layouts, in the scroll container's coordinates
+      areaTop: areaRect ? areaRect.top + origin : 0,
+      areaHeight: areaRect ? areaRect.height : 0,
+      trackTop: trackRect.top + origin,
+      trackHeight: trackRect.height,
+      dotCentersY: this.dots.map(dot => {
+        const dotRect = dot.getBoundingClientRect();
+        return dotRect.top + origin + (dotRect.height / 2);
+      })
+    };
+
+    if (this.usesCssScrollTimeline()) {
+      this.el.style.setProperty('--timeline-scroll-range', `${Math.max(0, this.geometry.scrollRange)}px`);
+      this.el.style.setProperty('--timeline-max-translate', `${maxTranslate}px`);
+      this.el.style.setProperty('--timeline-viewport-height', `${this.getViewportHeight()}px`);
+    }
+    if (!this.isWindowScroll()) {
+      this.el.style.setProperty('--timeline-scroll-container-height', `${this.getViewportHeight()}px`);
+    }
+    this.updateVirtualWindow();
+  }
+
+  // Scroll progress through the timeline (0–1) from cached geometry
+  readScrollProgress() {
+    const geometry = this.geometry;
+    if (!geometry) return 0;
+
+    let progress;
+    if (this.isVerticalLayout()) {
+      const threshold = this.getViewportHeight() * 0.3;
+      progress = (threshold - (geometry.areaTop - this.getScrollTop())) / (geometry.areaHeight - threshold);
+    } else {
+      progress = (this.getScrollTop() - geometry.spacerTop) / geometry.scrollRange;
+    }
+    return Number.isFinite(progress) ? Math.max(0, Math.min(1, progress)) : 0;
+  }
+
+  // Native CSS scroll-driven animations move the tracks when the browser has them
+  usesCssScrollTimeline() {
+    return !!this.settings.cssScrollTimeline
+      && this.settings.navigationType === 'scroll'
+      && !this.isVerticalLayout()
+      && !!window.CSS?.supports?.('animation-timeline: view()');
+  }
+
+  getScrollSmoothing() {
+    if (this.prefersReducedMotion() || this.usesCssScrollTimeline()) return 1;
+    const smoothing = Number(this.settings.scrollSmoothing);
+    return smoothing > 0 && smoothing <= 1 ? smoothing : 1;
+  }
+
+  // Jumps straight to the current scroll position (init, resize, navigation)
+  updateTimeline() {
+    if (!this.geometry) this.measureGeometry();
+    cancelAnimationFrame(this.renderFrame);
+    this.renderFrame = null;
+    this.targetProgress = this.readScrollProgress();
+    this.renderedProgress = this.targetProgress;
+    this.renderTimeline(this.renderedProgress);
+  }
+
+  // Eases the rendered progress toward the scroll position, one frame at a time
+  requestRender() {
+    if (!this.geometry) return;
+    this.targetProgress = this.readScrollProgress();
+    if (this.renderFrame) return;
+
+    const tick = () => {
+      const distance = this.targetProgress - this.renderedProgress;
+      const smoothing = this.getScrollSmoothing();
+      this.renderedProgress = Math.abs(distance) < 0.0005 || smoothing === 1
+        ? this.targetProgress
+        : this.renderedProgress + distance * smoothing;
+      this.renderTimeline(this.renderedProgress);
+      this.renderFrame = this.renderedProgress === this.targetProgress ? null : requestAnimationFrame(tick);
+    };
+    this.renderFrame = requestAnimationFrame(tick);
+  }
+
+  renderTimeline(progress) {
+    const geometry = this.geometry;
+    if (!geometry || !this.progressFill) return;
+
+    this.setProgress(progress);
+
+    if (this.isVerticalLayout()) {
+      this.setFillProgress(progress);
+      this.updateVirtualWindow();
+      const fillLine = geometry.trackTop + (progress * geometry.trackHeight);
+      this.updateDotFill(geometry.dotCentersY, fillLine);
+      this.updateFocusPosition(this.getFocusPosition(geometry.dotCentersY, fillLine));
+      return;
+    }
+
+    if (!this.usesCssScrollTimeline()) {
+      this.setFillProgress(progress);
+      this.setTrackTranslate(progress * geometry.maxTranslate);
+    } else {
+      this.currentTranslate = progress * geometry.maxTranslate;
+      this.updateVirtualWindow();
+    }
+
+    // Dots fill up to the fill's leading edge; the item under the focus line is active
+    const focusLine = this.interpolateKnots(this.getFocusKnots(geometry), progress, 0, 1);
+    this.updateDotFill(geometry.dotCenters, progress * geometry.trackWidth);
+    this.updateFocusPosition(this.getFocusPosition(geometry.dotCenters, focusLine));
+  }
+
+  // The focus line follows the container's centre, which can't reach items near either end once
+  // the track stops moving, so over the first and last half-container of scrolling it sweeps out
+  // to the first and last dots instead. Returns [progress, line] knots.
+  getFocusKnots(geometry) {
+    const { dotCenters, containerWidth, maxTranslate } = geometry;
+    const half = containerWidth / 2;
+    const zone = maxTranslate > containerWidth ? half / maxTranslate : 0.5;
+    const first = Math.min(dotCenters[0] ?? half, half);
+    const last = Math.max(dotCenters[dotCenters.length - 1] ?? half, half + maxTranslate);
+    return [
+      [0, first],
+      [zone, half + (zone * maxTranslate)],
+      [1 - zone, half + ((1 - zone) * maxTranslate)],
+      [1, last]
+    ];
+  }
+
+  // Linear between knots; from and to pick which value of each knot is looked up and returned
+  interpolateKnots(knots, value, from, to) {
+    let i = 1;
+    while (i < knots.length - 1 && value > knots[i][from]) i++;
+    const [a, b] = [knots[i - 1], knots[i]];
+    const span = b[from] - a[from];
+    const t = span > 0 ? Math.max(0, Math.min(1, (value - a[from]) / span)) : 0;
+    return a[to] + (t * (b[to] - a[to]));
+  }
+
+  // Content above the timeline (late images, embeds) moves it without resizing the track
+  observeDocumentResize() {
+    if (typeof ResizeObserver === 'undefined') return;
+    let frame = null;
+    this.bodyResizeObserver = new ResizeObserver(() => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        this.measureGeometry();
+        this.requestRender();
+      });
+    });
+    this.bodyResizeObserver.observe(document.body);
+    if (!this.isWindowScroll()) this.bodyResizeObserver.observe(this.scrollContainer);
+  }
+
+  // Transforms rather than width/height keep the fill off the layout path
+  setFillProgress(fraction) {
+    if (!this.progressFill) return;
+    const offset = `${(fraction - 1) * 100}%`;
+    this.progressFill.style.transform = this.isVerticalLayout() ? `translateY(${offset})` : `translateX(${offset})`;
+  }
+
+  // Only touches dots whose state changes
+  updateDotFill(centers, fillLine) {
+    this.dots.forEach((dot, i) => {
+      const isFilled = fillLine >= centers[i];
+      if (dot.classList.contains('wm-timeline-dot--filled') !== isFilled) {
+        dot.classList.toggle('wm-timeline-dot--filled', isFilled);
+      }
+    });
+  }
+
+  // Arrow navigation methods
   goToIndex(index) {
-    if (!this.data || this.data.length === 0) return;
+    if (this.items.length === 0) return;
     
-    const itemCount = this.data.length;
+    const itemCount = this.items.length;
     this.currentIndex = Math.max(0, Math.min(index, itemCount - 1));
     
-    const itemsContainer = this.el.querySelector('.wm-timeline-items-container');
-    const progressTrack = this.el.querySelector('.wm-timeline-progress-track');
-    const timelineContent = this.el.querySelector('.wm-timeline-content');
-    const items = this.itemsTrack ? this.itemsTrack.querySelectorAll('.wm-timeline-item') : [];
+    const items = this.items;
     
-    if (itemsContainer && this.itemsTrack && items.length > 0 && progressTrack) {
-      const containerWidth = itemsContainer.offsetWidth;
+    if (this.itemsTrack && items.length > 0) {
       const currentItem = items[this.currentIndex];
       const currentDot = this.dots[this.currentIndex];
       
-      // Get the content padding to inset the end position
-      const contentPadding = timelineContent 
-        ? parseFloat(getComputedStyle(timelineContent).paddingLeft) || 0 
-        : 0;
-      
       if (currentItem && currentDot) {
         const itemOffset = currentItem.offsetLeft;
         const itemWidth = currentItem.offsetWidth;
-        const targetTranslate = Math.max(0, itemOffset - (containerWidth / 2) + (itemWidth / 2));
         const trackScrollWidth = this.itemsTrack.scrollWidth;
-        const maxTranslate = Math.max(0, trackScrollWidth - containerWidth + contentPadding);
-        const translateX = Math.min(targetTranslate, maxTranslate);
         
-        // Move items
-        this.itemsTrack.style.transform = `translateX(-${translateX}px)`;
-        
-        // Sync labels track
-        if (this.labelsTrack) {
-          this.labelsTrack.style.transform = `translateX(-${translateX}px)`;
-        }
-        
-        // Sync progress track with items (scrolls off screen)
-        progressTrack.style.width = `${trackScrollWidth}px`;
-        progressTrack.style.transform = `translateX(-${translateX}px)`;
+        // Move items, labels and progress track together
+        this.setTrackTranslate(this.getTranslateForIndex(this.currentIndex));
         
         // Calculate progress fill to the dot position within the track
         const dotCenter = itemOffset + (itemWidth / 2);
@@ -563,38 +2331,1371 @@ class WMHorizontalTimeline {
         } else {
           fillPercent = (dotCenter / trackScrollWidth) * 100;
         }
-        
-        this.progressFill.style.width = `${fillPercent}%`;
+        
+        this.setFillProgress(fillPercent / 100);
+        this.setProgress(fillPercent / 100);
+      }
+    }
+    
+    // Update dots based on current index
+    this.dots.forEach((dot, i) => {
+      dot.classList.toggle('wm-timeline-dot--filled', i <= this.currentIndex);
+    });
+    
+    this.setActiveItem(this.currentIndex);
+    this.updateItemEmphasis(this.currentIndex);
+    this.updateArrowStates();
+  }
+
+  getMaxTranslate() {
+    const itemsContainer = this.el.querySelector('.wm-timeline-items-container');
+    const timelineContent = this.el.querySelector('.wm-timeline-content');
+    if (!itemsContainer || !this.itemsTrack) return 0;
+
+    // Get the content padding to inset the end position (on the right when mirrored)
+    const contentPadding = timelineContent 
+      ? parseFloat(getComputedStyle(timelineContent)[this.isRtl ? 'paddingRight' : 'paddingLeft']) || 0 
+      : 0;
+
+    return Math.max(0, this.itemsTrack.scrollWidth - itemsContainer.offsetWidth + contentPadding);
+  }
+
+  // Translation that centres an item, clamped to the ends of the track
+  getTranslateForIndex(index) {
+    const itemsContainer = this.el.querySelector('.wm-timeline-items-container');
+    const item = this.items[index];
+    if (!itemsContainer || !item) return 0;
+
+    const containerWidth = itemsContainer.offsetWidth;
+    const targetTranslate = Math.max(0, item.offsetLeft - (containerWidth / 2) + (item.offsetWidth / 2));
+    return Math.min(targetTranslate, this.getMaxTranslate());
+  }
+
+  setTrackTranslate(translateX) {
+    if (!this.itemsTrack) return;
+    const previousTranslate = this.currentTranslate;
+    this.currentTranslate = translateX;
+    const transform = `translateX(${-translateX}px)`;
+
+    this.itemsTrack.style.transform = transform;
+    if (this.labelsTrack) {
+      this.labelsTrack.style.transform = transform;
+    }
+
+    if (this.erasTrack) {
+      this.erasTrack.style.transform = transform;
+    }
+
+    // Sync progress track with items (scrolls off screen); measureGeometry() sizes it
+    if (this.progressTrack) {
+      this.progressTrack.style.transform = transform;
+    }
+    this.updateVirtualWindow(previousTranslate);
+  }
+
+  goNext() {
+    const target = this.getArrowTarget(1);
+    if (target !== null) {
+      this.goToIndex(target);
+    }
+  }
+
+  goPrev() {
+    const target = this.getArrowTarget(-1);
+    if (target !== null) {
+      this.goToIndex(target);
+    }
+  }
+
+  // Next/previous item, or era start when arrows step by era
+  getArrowTarget(direction) {
+    if (this.settings.eraNavigation && this.eras.length > 0) {
+      const era = direction > 0
+        ? this.eras.find(e => e.start > this.currentIndex)
+        : this.eras.filter(e => e.start < this.currentIndex).pop();
+      if (era) return era.start;
+      // Beyond the last era's start (or before the first era) the arrows step one item at a time
+    }
+    const target = this.currentIndex + direction;
+    return target >= 0 && target < this.items.length ? target : null;
+  }
+
+  updateArrowStates() {
+    if (!this.prevButton || !this.nextButton) return;
+    const isFirst = this.getArrowTarget(-1) === null;
+    const isLast = this.getArrowTarget(1) === null;
+    this.prevButton.classList.toggle('wm-timeline-arrow--disabled', isFirst);
+    this.nextButton.classList.toggle('wm-timeline-arrow--disabled', isLast);
+    this.prevButton.setAttribute('aria-disabled', isFirst ? 'true' : 'false');
+    this.nextButton.setAttribute('aria-disabled', isLast ? 'true' : 'false');
+  }
+
+  // Layout methods
+  isMobile() {
+    return window.innerWidth <= this.settings.mobileBreakpoint;
+  }
+
+  getLayout() {
+    const layout = this.isMobile() ? this.settings.mobileLayout : this.settings.desktopLayout;
+    return ['vertical', 'alternating'].includes(layout) ? layout : 'horizontal';
+  }
+
+  // Reflect the layout for the current viewport so CSS doesn't need its own breakpoint
+  applyLayout() {
+    const layout = this.getLayout();
+    this.el.toggleAttribute('data-wm-mobile', this.isMobile());
+    this.el.setAttribute('data-wm-layout', layout === 'horizontal' ? 'horizontal' : 'vertical');
+    this.el.toggleAttribute('data-wm-layout-alternating', layout === 'alternating');
+  }
+
+  // Active item methods
+  // Fractional index of a focus line among item centres, e.g. 2.5 is halfway between items 2 and 3
+  getFocusPosition(centers, line) {
+    if (centers.length === 0) return 0;
+    if (line <= centers[0]) return 0;
+    for (let i = 0; i < centers.length - 1; i++) {
+      if (line < centers[i + 1]) {
+        return i + (line - centers[i]) / ((centers[i + 1] - centers[i]) || 1);
+      }
+    }
+    return centers.length - 1;
+  }
+
+  updateFocusPosition(position) {
+    if (position === this.focusPosition) return;
+    this.focusPosition = position;
+    this.setActiveItem(Math.round(position));
+    this.updateItemEmphasis(position);
+  }
+
+  // --timeline-item-distance: 0 on the active item, 1 one away… (fractional while scrolling)
+  // --timeline-item-offset: the same, signed (negative before the active item)
+  // Written to every item, so only when activeEmphasis asks for them
+  updateItemEmphasis(position) {
+    if (!this.settings.activeEmphasis) return;
+    this.items.forEach((item, i) => {
+      const offset = Math.round((i - position) * 1000) / 1000;
+      item.style.setProperty('--timeline-item-offset', offset);
+      item.style.setProperty('--timeline-item-distance', Math.abs(offset));
+    });
+  }
+
+  // Accessibility methods
+  isVerticalLayout() {
+    return this.getLayout() !== 'horizontal';
+  }
+
+  prefersReducedMotion() {
+    return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+  }
+
+  getScrollBehavior() {
+    return this.prefersReducedMotion() ? 'auto' : 'smooth';
+  }
+
+  setActiveItem(index) {
+    this.currentIndex = index;
+    if (index === this.activeIndex) return;
+
+    // Skip the announcement for the initial render
+    const previousIndex = this.activeIndex;
+    const isInitial = previousIndex === null;
+    this.activeIndex = index;
+    this.updateEraState(index);
+    this.updateMediaPlayback();
+
+    if (isInitial) {
+      this.restartAutoplayCycle();
+    }
+
+    this.items.forEach((item, i) => {
+      const isActive = i === index;
+      if (isActive) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+      // Roving tabindex so the active item, dot and label are the keyboard entry points
+      item.tabIndex = isActive ? 0 : -1;
+      this.dots[i].tabIndex = item.tabIndex;
+      const label = this.labelWrappers[i]?.querySelector('.wm-timeline-item-label');
+      if (label) label.tabIndex = item.tabIndex;
+      item.classList.toggle('wm-timeline-item--active', isActive);
+    });
+
+    if (!isInitial) {
+      this.announce(this.getItemAnnouncement(index));
+      if (this.isModalOpen()) this.renderModalItem(index);
+      this.writeDeepLink(index);
+      this.restartAutoplayCycle();
+      WMHorizontalTimeline.emitEvent(':change', { el: this.el, previousIndex, currentIndex: index }, this.el);
+      if (index === this.items.length - 1) {
+        WMHorizontalTimeline.emitEvent(':reachEnd', { el: this.el, currentIndex: index }, this.el);
+      }
+    }
+  }
+
+  setProgress(progress) {
+    if (progress === this.progress) return;
+    this.progress = progress;
+    WMHorizontalTimeline.emitEvent(':progress', { el: this.el, progress }, this.el);
+  }
+
+  getItemAnnouncement(index) {
+    const item = this.items[index];
+    if (!item) return '';
+    const label = this.getItemLabel(index);
+    const title = this.getItemTitle(index);
+    const text = [label, title].filter(Boolean).join(' – ');
+    return `Item ${index + 1} of ${this.items.length}${text ? `: ${text}` : ''}`;
+  }
+
+  announce(message) {
+    if (!this.liveRegion) return;
+    this.liveRegion.textContent = message;
+  }
+
+  // Bring an item into view without changing focus
+  navigateToIndex(index, behavior = this.getScrollBehavior()) {
+    if (this.isVerticalLayout()) {
+      this.items[index]?.scrollIntoView({ block: 'nearest', behavior });
+      return;
+    }
+
+    if (this.settings.navigationType === 'arrows') {
+      if (index !== this.currentIndex) this.goToIndex(index);
+      return;
+    }
+
+    this.scrollToIndex(index, behavior);
+  }
+
+  // Scroll mode: move the scroll container to the offset that fills up to the item's dot
+  getScrollOffsetForIndex(index) {
+    const scrollSpacer = this.el.querySelector('.wm-timeline-scroll-spacer');
+    const stickyWrapper = this.el.querySelector('.wm-timeline-sticky-wrapper');
+    const item = this.items[index];
+    if (!scrollSpacer || !item || !this.itemsTrack) return null;
+
+    const contentHeight = stickyWrapper ? stickyWrapper.offsetHeight : this.getViewportHeight();
+    const scrollRange = this.scrollHeight - contentHeight;
+    if (scrollRange <= 0) return null;
+
+    // Where the focus line crosses the item's dot
+    if (!this.geometry) return null;
+    const progress = this.interpolateKnots(this.getFocusKnots(this.geometry), this.geometry.dotCenters[index], 1, 0);
+    const spacerTop = scrollSpacer.getBoundingClientRect().top + this.getScrollOrigin();
+
+    return Math.ceil(spacerTop + (progress * scrollRange));
+  }
+
+  scrollToIndex(index, behavior = this.getScrollBehavior()) {
+    const top = this.getScrollOffsetForIndex(index);
+    if (top === null) return;
+    this.scrollContainerTo(top, behavior);
+  }
+
+  focusItem(index) {
+    const item = this.items[index];
+    if (!item) return;
+    // The timeline moves itself into view, not the browser
+    item.focus({ preventScroll: true });
+  }
+
+  handleKeydown(e) {
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (this.items.length === 0) return;
+
+    const focused = e.target.closest('.wm-timeline-item, .wm-timeline-label-wrapper');
+    const fromIndex = focused ? parseInt(focused.dataset.index, 10) : this.currentIndex;
+    const lastIndex = this.items.length - 1;
+    const targets = {
+      ArrowLeft: fromIndex - 1,
+      ArrowRight: fromIndex + 1,
+      Home: 0,
+      End: lastIndex
+    };
+    const key = this.getLogicalKey(e.key);
+    if (!(key in targets)) return;
+
+    e.preventDefault();
+    const index = Math.max(0, Math.min(targets[key], lastIndex));
+    this.navigateToIndex(index);
+
+    // Focus stays on the same kind of control it started on
+    const label = this.labelWrappers[index]?.querySelector('.wm-timeline-item-label');
+    if (e.target.matches('.wm-timeline-dot')) {
+      this.dots[index].focus({ preventScroll: true });
+    } else if (e.target.matches('.wm-timeline-item-label') && label) {
+      label.focus({ preventScroll: true });
+    } else {
+      this.focusItem(index);
+    }
+  }
+
+  handleFocusIn(e) {
+    // Only follow keyboard focus; mouse clicks on item buttons shouldn't move the track
+    if (!e.target.matches(':focus-visible')) return;
+    const item = e.target.closest('.wm-timeline-item');
+    if (!item) return;
+    const index = this.items.indexOf(item);
+    if (index !== -1) this.navigateToIndex(index);
+  }
+
+  // Deep linking methods
+  getDeepLinkMode() {
+    const { deepLink } = this.settings;
+    if (!deepLink) return null;
+    return deepLink === 'query' ? 'query' : 'hash';
+  }
+
+  slugify(text) {
+    return text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  getItemSlug(index) {
+    return this.slugify(this.getItemLabel(index));
+  }
+
+  getDeepLinkValue(index) {
+    if (this.settings.deepLinkFormat === 'label') {
+      const slug = this.getItemSlug(index);
+      if (slug) return slug;
+    }
+    // Item numbers in the URL are 1-based
+    return String(index + 1);
+  }
+
+  // Each timeline keeps its own key so several can share one URL
+  getLocationParams(mode) {
+    if (mode === 'query') return new URLSearchParams(window.location.search);
+    return new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  }
+
+  readDeepLink() {
+    // Plain #anchor links to an item's metadata id work whether or not deepLink is on
+    const hash = window.location.hash.replace(/^#/, '');
+    let anchor = hash;
+    try {
+      anchor = decodeURIComponent(hash);
+    } catch (error) {
+      // Malformed escapes like "#50%off" are matched as written
+    }
+    const anchorIndex = anchor ? this.items.findIndex(item => item.id === anchor || item.dataset.anchor === anchor) : -1;
+    if (anchorIndex !== -1) return anchorIndex;
+
+    const mode = this.getDeepLinkMode();
+    if (!mode || !this.el.id || this.items.length === 0) return null;
+
+    const value = this.getLocationParams(mode).get(this.el.id);
+    if (!value) return null;
+
+    // Accept either format so old links keep working if the setting changes
+    const isNumber = /^\d+$/.test(value);
+    const numberIndex = isNumber
+      ? Math.max(0, Math.min(parseInt(value, 10) - 1, this.items.length - 1))
+      : null;
+    if (isNumber && this.settings.deepLinkFormat !== 'label') return numberIndex;
+
+    const slug = this.slugify(value);
+    const labelIndex = this.items.findIndex((item, i) => this.getItemSlug(i) === slug);
+    return labelIndex !== -1 ? labelIndex : numberIndex;
+  }
+
+  // Safari throws after 100 history updates in 10 seconds, so scrolling writes at most every 300ms
+  writeDeepLink(index) {
+    if (!this.getDeepLinkMode() || !this.el.id || this.isBackend) return;
+
+    this.deepLinkIndex = index;
+    if (this.deepLinkTimeout) return;
+    this.replaceDeepLink(index);
+    this.deepLinkIndex = null;
+    this.deepLinkTimeout = setTimeout(() => {
+      this.deepLinkTimeout = null;
+      if (this.deepLinkIndex !== null) this.writeDeepLink(this.deepLinkIndex);
+    }, 300);
+  }
+
+  replaceDeepLink(index) {
+    const mode = this.getDeepLinkMode();
+    const params = this.getLocationParams(mode);
+    params.set(this.el.id, this.getDeepLinkValue(index));
+    if (this.isModalOpen()) {
+      params.set(this.getDetailDeepLinkKey(), '');
+    } else {
+      params.delete(this.getDetailDeepLinkKey());
+    }
+
+    const url = new URL(window.location.href);
+    if (mode === 'query') {
+      url.search = params.toString();
+    } else {
+      // Keep plain anchors like #about without a trailing "="
+      url.hash = params.toString().replace(/=(?=&|$)/g, '');
+    }
+
+    // Replace rather than push so scrolling doesn't flood the history
+    if (url.href !== window.location.href) {
+      history.replaceState(history.state, '', url.href);
+    }
+  }
+
+  // "<section-id>-detail" alongside the item key marks the detail modal as open
+  getDetailDeepLinkKey() {
+    return `${this.el.id}-detail`;
+  }
+
+  readDetailDeepLink() {
+    const mode = this.getDeepLinkMode();
+    if (!mode || !this.el.id || !this.modal) return false;
+    return this.getLocationParams(mode).has(this.getDetailDeepLinkKey());
+  }
+
+  applyInitialDeepLink() {
+    const index = this.readDeepLink();
+    if (index === null) return;
+
+    // Arrow mode renders currentIndex on its first frame; scroll mode moves the window instead
+    this.currentIndex = index;
+    if (this.settings.navigationType !== 'arrows' || this.isVerticalLayout()) {
+      requestAnimationFrame(() => this.navigateToIndex(index, 'auto'));
+    }
+    if (this.readDetailDeepLink()) {
+      requestAnimationFrame(() => this.openModal(index));
+    }
+  }
+
+  handleLocationChange() {
+    const index = this.readDeepLink();
+    if (index !== null && index !== this.currentIndex) {
+      this.navigateToIndex(index);
+    }
+
+    if (!this.modal || !this.getDeepLinkMode()) return;
+    const isDetailLinked = this.readDetailDeepLink();
+    if (isDetailLinked && !this.isModalOpen()) {
+      this.openModal(index ?? this.currentIndex);
+    } else if (!isDetailLinked && this.isModalOpen()) {
+      this.closeModal();
+    }
+  }
+
+  bindDeepLinkEvents() {
+    if (!this.getDeepLinkMode() && !this.items.some(item => item.id)) return;
+    this.boundHandleLocationChange = () => this.handleLocationChange();
+    window.addEventListener('hashchange', this.boundHandleLocationChange);
+    window.addEventListener('popstate', this.boundHandleLocationChange);
+  }
+
+  // Virtualised rendering methods
+  mountItemBody(index) {
+    const item = this.items[index];
+    if (!item || item.hasAttribute('data-wm-rendered')) return;
+    if (!this.itemBodies.has(item)) {
+      this.itemBodies.set(item, this.buildItemBody(item));
+    }
+    this.itemBodies.get(item).forEach(node => item.appendChild(node));
+    this.attachHlsPlayers(item);
+    item.setAttribute('data-wm-rendered', '');
+    item.classList.remove('wm-timeline-item--placeholder');
+    item.style.minHeight = '';
+    // Bodies kept from earlier may carry highlights for an older query
+    this.highlightItem(item);
+  }
+
+  // Detaches the body but holds the item's size, so the track and dot positions don't move
+  unmountItemBody(index, height) {
+    const item = this.items[index];
+    if (!item || !item.hasAttribute('data-wm-rendered')) return;
+    item.style.minHeight = `${height}px`;
+    this.destroyHlsPlayers(item);
+    this.itemBodies.get(item).forEach(node => node.remove());
+    item.removeAttribute('data-wm-rendered');
+    item.classList.add('wm-timeline-item--placeholder');
+  }
+
+  // Indices whose dots fall within [start, end], widened by the buffer
+  getIndexRange(centers, start, end) {
+    const buffer = Math.max(0, this.settings.virtualizeBuffer || 0);
+    let first = centers.findIndex(center => center >= start);
+    if (first === -1) first = centers.length - 1;
+    let last = first;
+    while (last + 1 < centers.length && centers[last + 1] <= end) last++;
+    // The neighbour just outside each edge is partly visible
+    return [Math.max(0, first - 1 - buffer), Math.min(centers.length - 1, last + 1 + buffer)];
+  }
+
+  updateVirtualWindow(previousTranslate = this.currentTranslate) {
+    const geometry = this.geometry;
+    if (!this.isVirtualized || !geometry) return;
+
+    let range;
+    if (this.isVerticalLayout()) {
+      // Stacked items set the dot positions and page length by their own height, which an unbuilt
+      // item can't know, so these layouts build every item
+      range = [0, this.items.length - 1];
+    } else {
+      const current = this.currentTranslate || 0;
+      const target = this.getIndexRange(geometry.dotCenters, current, current + geometry.containerWidth);
+      // Arrow moves animate, so keep the items passed on the way built too (within reason)
+      const from = Math.min(current, previousTranslate || 0);
+      const to = Math.max(current, previousTranslate || 0) + geometry.containerWidth;
+      const swept = this.getIndexRange(geometry.dotCenters, from, to);
+      range = swept[1] - swept[0] <= (target[1] - target[0]) * 3 ? swept : target;
+    }
+
+    if (this.renderedRange && range[0] === this.renderedRange[0] && range[1] === this.renderedRange[1]) return;
+    this.renderedRange = range;
+
+    // Read every outgoing height before writing anything
+    const outgoing = this.items
+      .map((item, i) => ({ i, item }))
+      .filter(({ i, item }) => (i < range[0] || i > range[1]) && item.hasAttribute('data-wm-rendered'))
+      .map(({ i, item }) => ({ i, height: item.offsetHeight }));
+    outgoing.forEach(({ i, height }) => this.unmountItemBody(i, height));
+    for (let i = range[0]; i <= range[1]; i++) {
+      this.mountItemBody(i);
+    }
+    this.updateMediaPlayback();
+    if (!this.isVerticalLayout()) this.updatePlaceholderHeight(range);
+  }
+
+  // Unbuilt items hold the tallest height built so far, so the sticky area and scroll length
+  // settle once rather than growing as taller items come into view
+  updatePlaceholderHeight(range) {
+    let height = 0;
+    for (let i = range[0]; i <= range[1]; i++) {
+      // Items stretch to the row, so measure what they hold rather than their own box
+      Array.from(this.items[i]?.children || []).forEach(child => {
+        height = Math.max(height, child.offsetTop + child.offsetHeight);
+      });
+    }
+    if (height <= this.placeholderHeight) return;
+    this.placeholderHeight = height;
+    this.el.style.setProperty('--timeline-placeholder-height', `${height}px`);
+    this.calculateDimensions();
+  }
+
+  // Item media methods
+  getItemMedia(item, meta = {}) {
+    const media = [];
+    const video = this.parseVideoUrl(item.video?.url || item.video || meta.video);
+    if (video) media.push(video);
+
+    const toImage = (image) => {
+      if (!image) return null;
+      if (typeof image === 'string') return { type: 'image', assetUrl: image.trim() };
+      return image.assetUrl ? { type: 'image', assetUrl: image.assetUrl, focalPoint: image.mediaFocalPoint } : null;
+    };
+    const extraImages = Array.isArray(item.images) ? item.images : [];
+    const metaImages = meta.images ? meta.images.split(/[\s,]+/).filter(Boolean) : [];
+    [item.image, ...extraImages, ...metaImages].map(toImage).forEach(image => {
+      if (image && !media.some(m => m.assetUrl === image.assetUrl)) media.push(image);
+    });
+    return media;
+  }
+
+  parseVideoUrl(url) {
+    if (!url || typeof url !== 'string') return null;
+    let match = url.match(/(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/);
+    if (match) return { type: 'video', provider: 'youtube', id: match[1], url };
+    match = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+    if (match) return { type: 'video', provider: 'vimeo', id: match[1], url };
+    // Squarespace-hosted video and plain files
+    if (/\.(mp4|webm|ogv|mov|m3u8)(\?|#|$)/i.test(url) || /video\.squarespace-cdn\.com/.test(url)) {
+      return { type: 'video', provider: 'file', url };
+    }
+    console.warn(`[${this.pluginName}] Unsupported video URL: ${url}`);
+    return null;
+  }
+
+  // Squarespace CDN images can be requested at any of its preset widths; other hosts,
+  // including the site's own relative URLs, serve only the file as written
+  isSquarespaceImage(assetUrl) {
+    let host;
+    try {
+      host = new URL(assetUrl, window.location.href).hostname;
+    } catch (error) {
+      return false;
+    }
+    const isCdn = /(^|\.)squarespace-cdn\.com$/.test(host) || host === 'static1.squarespace.com';
+    return isCdn && !/[?&]format=/.test(assetUrl);
+  }
+
+  getImageSrcset(assetUrl) {
+    return [300, 500, 750, 1000, 1500, 2500]
+      .map(width => `${this.getImageUrl(assetUrl, `${width}w`)} ${width}w`)
+      .join(', ');
+  }
+
+  getImageSizes() {
+    if (this.settings.imageSizes) return this.settings.imageSizes;
+    // Stacked mobile layouts run cards close to full width
+    const mobileWidth = this.settings.mobileLayout === 'horizontal' ? '240px' : '90vw';
+    return `(max-width: ${this.settings.mobileBreakpoint}px) ${mobileWidth}, 320px`;
+  }
+
+  buildImage(image, alt) {
+    const img = document.createElement('img');
+    img.src = this.getImageUrl(image.assetUrl, '750w');
+    if (this.isSquarespaceImage(image.assetUrl)) {
+      img.srcset = this.getImageSrcset(image.assetUrl);
+      img.sizes = this.getImageSizes();
+    }
+    img.alt = alt || '';
+    img.loading = 'lazy';
+
+    const focalX = image.focalPoint?.x ?? 0.5;
+    const focalY = image.focalPoint?.y ?? 0.5;
+    img.style.objectPosition = `${focalX * 100}% ${focalY * 100}%`;
+    return img;
+  }
+
+  buildVideo(video, title) {
+    if (video.provider === 'file') {
+      const el = document.createElement('video');
+      el.className = 'wm-timeline-item-video';
+      el.dataset.wmVideo = 'file';
+      // Muted and inline so browsers allow it to start on its own
+      el.muted = true;
+      el.setAttribute('muted', '');
+      el.playsInline = true;
+      el.setAttribute('playsinline', '');
+      el.loop = true;
+      el.controls = true;
+      el.preload = 'metadata';
+
+      // HLS plays natively in Safari; elsewhere it needs hls.js on the page
+      const isHls = /\.m3u8(\?|#|$)/i.test(video.url);
+      if (isHls && !el.canPlayType('application/vnd.apple.mpegurl') && window.Hls?.isSupported()) {
+        // Players are created when the item body mounts and destroyed when it unmounts
+        el.dataset.wmHlsSrc = video.url;
+      } else {
+        el.src = video.url;
+      }
+      return el;
+    }
+
+    const iframe = document.createElement('iframe');
+    iframe.className = 'wm-timeline-item-video';
+    iframe.dataset.wmVideo = video.provider;
+    iframe.title = title || 'Video';
+    iframe.loading = 'lazy';
+    iframe.allow = 'autoplay; encrypted-media; fullscreen; picture-in-picture';
+    iframe.setAttribute('allowfullscreen', '');
+    iframe.src = video.provider === 'youtube'
+      ? `https://www.youtube-nocookie.com/embed/${video.id}?enablejsapi=1&mute=1&playsinline=1&loop=1&playlist=${video.id}&rel=0`
+      : `https://player.vimeo.com/video/${video.id}?muted=1&playsinline=1&loop=1&autopause=0`;
+    // Commands sent before the player loads are dropped, so resend once it has
+    iframe.addEventListener('load', () => {
+      delete iframe.dataset.wmVideoPlaying;
+      this.updateMediaPlayback();
+    });
+    return iframe;
+  }
+
+  attachHlsPlayers(root) {
+    if (!window.Hls?.isSupported()) return;
+    root.querySelectorAll('video[data-wm-hls-src]').forEach(el => {
+      if (this.hlsPlayers.has(el)) return;
+      const hls = new window.Hls();
+      hls.loadSource(el.dataset.wmHlsSrc);
+      hls.attachMedia(el);
+      this.hlsPlayers.set(el, hls);
+    });
+  }
+
+  // Destroys the players inside root, or all of them
+  destroyHlsPlayers(root = null) {
+    this.hlsPlayers.forEach((hls, el) => {
+      if (root && !root.contains(el)) return;
+      hls.destroy();
+      delete el.dataset.wmVideoPlaying;
+      this.hlsPlayers.delete(el);
+    });
+  }
+
+  buildItemMedia(media, title) {
+    const mediaWrapper = document.createElement('div');
+    mediaWrapper.className = 'wm-timeline-item-media';
+
+    const slides = media.map((entry, i) => {
+      const slide = document.createElement('div');
+      slide.className = 'wm-timeline-media-slide';
+      const alt = media.length > 1 ? `${title} (${i + 1} of ${media.length})` : title;
+      slide.appendChild(entry.type === 'video' ? this.buildVideo(entry, alt) : this.buildImage(entry, alt));
+      return slide;
+    });
+
+    if (slides.length === 1) {
+      mediaWrapper.appendChild(slides[0].firstChild);
+      return mediaWrapper;
+    }
+
+    mediaWrapper.classList.add('wm-timeline-item-media--carousel');
+    mediaWrapper.setAttribute('role', 'group');
+    mediaWrapper.setAttribute('aria-roledescription', 'carousel');
+    if (title) mediaWrapper.setAttribute('aria-label', title);
+
+    const slidesTrack = document.createElement('div');
+    slidesTrack.className = 'wm-timeline-media-track';
+    slides.forEach(slide => slidesTrack.appendChild(slide));
+    mediaWrapper.appendChild(slidesTrack);
+
+    ['prev', 'next'].forEach(direction => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `wm-timeline-media-arrow wm-timeline-media-arrow--${direction}`;
+      button.dataset.direction = direction === 'prev' ? -1 : 1;
+      button.setAttribute('aria-label', direction === 'prev' ? 'Previous media' : 'Next media');
+      button.innerHTML = direction === 'prev'
+        ? '<svg viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg"><path d="M11.5 3L5.5 9L11.5 15"></path></svg>'
+        : '<svg viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg"><path d="M6.5 3L12.5 9L6.5 15"></path></svg>';
+      mediaWrapper.appendChild(button);
+    });
+
+    const counter = document.createElement('p');
+    counter.className = 'wm-timeline-media-counter';
+    mediaWrapper.appendChild(counter);
+
+    this.setMediaSlide(mediaWrapper, 0);
+    return mediaWrapper;
+  }
+
+  setMediaSlide(mediaWrapper, index) {
+    const slides = mediaWrapper.querySelectorAll('.wm-timeline-media-slide');
+    const slideIndex = Math.max(0, Math.min(index, slides.length - 1));
+    mediaWrapper.dataset.slide = slideIndex;
+    mediaWrapper.style.setProperty('--timeline-media-index', slideIndex);
+    slides.forEach((slide, i) => {
+      slide.setAttribute('aria-hidden', i === slideIndex ? 'false' : 'true');
+      slide.inert = i !== slideIndex;
+    });
+    mediaWrapper.querySelector('.wm-timeline-media-arrow--prev').disabled = slideIndex === 0;
+    mediaWrapper.querySelector('.wm-timeline-media-arrow--next').disabled = slideIndex === slides.length - 1;
+    mediaWrapper.querySelector('.wm-timeline-media-counter').textContent = `${slideIndex + 1} / ${slides.length}`;
+  }
+
+  // Plays (muted) only the visible video of the active item while the timeline is on screen
+  updateMediaPlayback() {
+    const canPlay = this.settings.videoAutoplay && this.isInView && !this.prefersReducedMotion();
+    const activeItem = this.items[this.activeIndex];
+    this.allItems.forEach(item => {
+      item.querySelectorAll('[data-wm-video]').forEach(video => {
+        const slide = video.closest('.wm-timeline-media-slide');
+        const isVisible = !slide || slide.getAttribute('aria-hidden') !== 'true';
+        this.setVideoPlaying(video, canPlay && item === activeItem && isVisible);
+      });
+    });
+  }
+
+  setVideoPlaying(video, shouldPlay) {
+    if (video.dataset.wmVideoPlaying === String(shouldPlay)) return;
+    if (video.dataset.wmVideo === 'file') {
+      if (shouldPlay) {
+        video.muted = true;
+        video.play()?.catch(() => {});
+      } else {
+        video.pause();
+      }
+      video.dataset.wmVideoPlaying = String(shouldPlay);
+      return;
+    }
+
+    if (!video.contentWindow) return;
+    const message = video.dataset.wmVideo === 'youtube'
+      ? { event: 'command', func: shouldPlay ? 'playVideo' : 'pauseVideo', args: [] }
+      : { method: shouldPlay ? 'play' : 'pause' };
+    video.contentWindow.postMessage(JSON.stringify(message), new URL(video.src).origin);
+    video.dataset.wmVideoPlaying = String(shouldPlay);
+  }
+
+  bindMediaEvents() {
+    this.itemsTrack?.addEventListener('click', (e) => {
+      const arrow = e.target.closest('.wm-timeline-media-arrow');
+      if (!arrow) return;
+      e.preventDefault();
+      const mediaWrapper = arrow.closest('.wm-timeline-item-media');
+      this.setMediaSlide(mediaWrapper, parseInt(mediaWrapper.dataset.slide, 10) + parseInt(arrow.dataset.direction, 10));
+      this.updateMediaPlayback();
+    });
+
+    if (!this.itemsTrack?.querySelector('[data-wm-video]')) return;
+    if (typeof IntersectionObserver === 'undefined') {
+      this.isInView = true;
+      this.updateMediaPlayback();
+      return;
+    }
+    this.mediaObserver = new IntersectionObserver(([entry]) => {
+      this.isInView = entry.isIntersecting;
+      this.updateMediaPlayback();
+    }, { threshold: 0.25 });
+    this.mediaObserver.observe(this.el.querySelector('.wm-timeline-area') || this.el);
+  }
+
+  // Detail modal methods
+  buildModal() {
+    // A native <dialog> opens in the top layer, above sticky wrappers and site headers
+    this.modal = document.createElement('dialog');
+    this.modal.className = 'wm-timeline-modal';
+    this.modal.setAttribute('aria-labelledby', `${this.el.id}-modal-title`);
+
+    const panel = document.createElement('div');
+    panel.className = 'wm-timeline-modal-panel';
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'wm-timeline-modal-close';
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.innerHTML = `<svg viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg">
+        <path d="M2 2L16 16"></path>
+        <path d="M16 2L2 16"></path>
+      </svg>`;
+    panel.appendChild(closeButton);
+
+    const media = document.createElement('div');
+    media.className = 'wm-timeline-modal-media';
+    panel.appendChild(media);
+
+    const content = document.createElement('div');
+    content.className = 'wm-timeline-modal-content';
+    content.innerHTML = `<p class="wm-timeline-modal-label"></p>
+      <h2 class="wm-timeline-modal-title" id="${this.el.id}-modal-title"></h2>
+      <div class="wm-timeline-modal-description"></div>
+      <div class="wm-timeline-modal-button-wrapper"></div>`;
+    panel.appendChild(content);
+
+    const nav = document.createElement('div');
+    nav.className = 'wm-timeline-modal-nav';
+    nav.innerHTML = `<button type="button" class="wm-timeline-arrow wm-timeline-modal-prev" aria-label="Previous item">
+        <div class="wm-timeline-arrow-bg"></div>
+        <svg viewBox="0 0 44 18" xmlns="http://www.w3.org/2000/svg">
+          <path d="M9.90649 16.96L2.1221 9.17556L9.9065 1.39116"></path>
+          <path d="M42.8633 9.18125L3.37868 9.18125"></path>
+        </svg>
+      </button>
+      <p class="wm-timeline-modal-counter"></p>
+      <button type="button" class="wm-timeline-arrow wm-timeline-modal-next" aria-label="Next item">
+        <div class="wm-timeline-arrow-bg"></div>
+        <svg viewBox="0 0 44 18" xmlns="http://www.w3.org/2000/svg">
+          <path d="M34.1477 1.39111L41.9321 9.17551L34.1477 16.9599"></path>
+          <path d="M1.19088 9.16982H40.6755"></path>
+        </svg>
+      </button>`;
+    panel.appendChild(nav);
+
+    this.modal.appendChild(panel);
+    return this.modal;
+  }
+
+  isModalOpen() {
+    return !!this.modal && this.modal.hasAttribute('open');
+  }
+
+  renderModalItem(index) {
+    const item = this.items[index];
+    if (!this.modal || !item) return;
+
+    const source = this.itemSources.get(item) || {};
+    const data = source.item || {};
+    const title = this.getItemTitle(index);
+    const label = this.getItemLabel(index);
+    this.modal.dataset.index = index;
+    this.modal.style.setProperty('--timeline-item-accent', item.style.getPropertyValue('--timeline-item-accent'));
+
+    // Larger image than the card's
+    const media = this.modal.querySelector('.wm-timeline-modal-media');
+    media.innerHTML = '';
+    if (data.image && data.image.assetUrl && this.options.isMediaEnabled !== false) {
+      const img = document.createElement('img');
+      img.src = this.getImageUrl(data.image.assetUrl, this.settings.itemDetailImageFormat);
+      img.alt = title;
+      if (this.isSquarespaceImage(data.image.assetUrl)) {
+        img.srcset = this.getImageSrcset(data.image.assetUrl);
+        img.sizes = `(max-width: ${this.settings.mobileBreakpoint}px) 92vw, 720px`;
+      }
+      media.appendChild(img);
+    }
+    media.hidden = !media.firstChild;
+
+    const labelEl = this.modal.querySelector('.wm-timeline-modal-label');
+    labelEl.textContent = label;
+    labelEl.hidden = !label;
+
+    const titleEl = this.modal.querySelector('.wm-timeline-modal-title');
+    titleEl.textContent = title || label || `Item ${index + 1}`;
+
+    // The full description; cards only clamp it visually
+    const showDescription = this.options.isBodyEnabled !== false;
+    this.modal.querySelector('.wm-timeline-modal-description').innerHTML = showDescription ? source.description || '' : '';
+
+    const buttonWrapper = this.modal.querySelector('.wm-timeline-modal-button-wrapper');
+    buttonWrapper.innerHTML = '';
+    const button = this.buildItemButton(data);
+    if (button) buttonWrapper.appendChild(button);
+    buttonWrapper.hidden = !button;
+
+    this.modal.querySelector('.wm-timeline-modal-counter').textContent = `${index + 1} / ${this.items.length}`;
+    [
+      [this.modal.querySelector('.wm-timeline-modal-prev'), index === 0],
+      [this.modal.querySelector('.wm-timeline-modal-next'), index === this.items.length - 1]
+    ].forEach(([arrow, isDisabled]) => {
+      arrow.classList.toggle('wm-timeline-arrow--disabled', isDisabled);
+      arrow.setAttribute('aria-disabled', isDisabled ? 'true' : 'false');
+    });
+  }
+
+  openModal(index) {
+    if (!this.modal || !this.items[index]) return;
+    const wasOpen = this.isModalOpen();
+
+    this.renderModalItem(index);
+    if (index !== this.currentIndex) {
+      this.navigateToIndex(index, 'auto');
+    }
+    if (wasOpen) return;
+
+    this.modalReturnFocus = document.activeElement;
+    if (typeof this.modal.showModal === 'function') {
+      this.modal.showModal();
+    } else {
+      this.modal.setAttribute('open', '');
+    }
+    // Keep the page (and a scroll-driven timeline) still behind the modal
+    document.documentElement.setAttribute('data-wm-timeline-modal-open', '');
+    this.pauseAutoplay('modal');
+    this.modal.querySelector('.wm-timeline-modal-close').focus();
+    this.writeDeepLink(this.currentIndex);
+    WMHorizontalTimeline.emitEvent(':openDetail', { el: this.el, currentIndex: index }, this.el);
+  }
+
+  closeModal() {
+    if (!this.isModalOpen()) return;
+
+    if (typeof this.modal.close === 'function') {
+      this.modal.close();
+    } else {
+      this.modal.removeAttribute('open');
+    }
+    document.documentElement.removeAttribute('data-wm-timeline-modal-open');
+    this.resumeAutoplay('modal');
+    this.writeDeepLink(this.currentIndex);
+
+    const returnFocus = this.modalReturnFocus;
+    this.modalReturnFocus = null;
+    if (returnFocus && returnFocus.isConnected) {
+      returnFocus.focus({ preventScroll: true });
+    }
+    WMHorizontalTimeline.emitEvent(':closeDetail', { el: this.el, currentIndex: this.currentIndex }, this.el);
+  }
+
+  stepModal(direction) {
+    const index = parseInt(this.modal.dataset.index, 10) + direction;
+    if (index < 0 || index >= this.items.length) return;
+    this.openModal(index);
+  }
+
+  getModalFocusables() {
+    return Array.from(this.modal.querySelectorAll('a[href], button, [tabindex]:not([tabindex="-1"])'))
+      .filter(el => !el.closest('[hidden]') && el.getAttribute('aria-disabled') !== 'true');
+  }
+
+  handleModalKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.closeModal();
+      return;
+    }
+
+    if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && !e.target.closest('a, .wm-timeline-modal-description')) {
+      e.preventDefault();
+      this.stepModal(this.getLogicalKey(e.key) === 'ArrowLeft' ? -1 : 1);
+      return;
+    }
+
+    // Trap focus inside the modal
+    if (e.key !== 'Tab') return;
+    const focusables = this.getModalFocusables();
+    if (focusables.length === 0) return;
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    if (e.shiftKey && (document.activeElement === first || !this.modal.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  handleItemDetailClick(e) {
+    const moreButton = e.target.closest('.wm-timeline-item-more');
+    if (moreButton) {
+      e.preventDefault();
+      this.openModal(this.items.indexOf(moreButton.closest('.wm-timeline-item')));
+      return;
+    }
+
+    // In 'item' mode the rest of the card opens it too, leaving links, dots and buttons alone
+    if (this.settings.itemDetail !== 'item' || e.target.closest('a, button, .wm-timeline-dot')) return;
+    const item = e.target.closest('.wm-timeline-item');
+    if (item) this.openModal(this.items.indexOf(item));
+  }
+
+  bindItemDetailEvents() {
+    if (!this.modal) return;
+
+    this.itemsTrack?.addEventListener('click', (e) => this.handleItemDetailClick(e));
+    if (this.settings.itemDetail === 'item') {
+      this.itemsTrack?.addEventListener('keydown', (e) => {
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('wm-timeline-item')) {
+          e.preventDefault();
+          this.openModal(this.items.indexOf(e.target));
+        }
+      });
+    }
+
+    this.modal.addEventListener('keydown', (e) => this.handleModalKeydown(e));
+    // Esc on a native dialog fires cancel; close through closeModal so state stays in sync
+    this.modal.addEventListener('cancel', (e) => {
+      e.preventDefault();
+      this.closeModal();
+    });
+    this.modal.addEventListener('click', (e) => {
+      // Clicks on the backdrop land on the dialog itself
+      if (e.target === this.modal || e.target.closest('.wm-timeline-modal-close')) {
+        this.closeModal();
+      } else if (e.target.closest('.wm-timeline-modal-prev')) {
+        this.stepModal(-1);
+      } else if (e.target.closest('.wm-timeline-modal-next')) {
+        this.stepModal(1);
       }
+    });
+  }
+
+  // Snap scrolling methods
+  getSnapMode() {
+    const { scrollSnap, navigationType } = this.settings;
+    if (navigationType !== 'scroll' || this.isVerticalLayout()) return null;
+    return ['idle', 'stepped'].includes(scrollSnap) ? scrollSnap : null;
+  }
+
+  // True while the sticky wrapper is held in place and scrolling drives the track
+  isPinned() {
+    const scrollSpacer = this.el.querySelector('.wm-timeline-scroll-spacer');
+    const stickyWrapper = this.el.querySelector('.wm-timeline-sticky-wrapper');
+    if (!scrollSpacer || !stickyWrapper) return false;
+    const rect = scrollSpacer.getBoundingClientRect();
+    // Relative to the top of the scroll container's viewport
+    const offset = this.getScrollOrigin() - this.getScrollTop();
+    return rect.top + offset <= 1 && rect.bottom + offset >= stickyWrapper.offsetHeight - 1;
+  }
+
+  scheduleSnap() {
+    clearTimeout(this.snapTimeout);
+    // An instant jump once scrolling stops would be more jarring than stopping between items
+    if (!this.getSnapMode() || this.prefersReducedMotion()) return;
+    this.snapTimeout = setTimeout(() => this.snapToNearest(), this.settings.scrollSnapDelay);
+  }
+
+  snapToNearest() {
+    // Wait for the finger to lift (and any momentum to end) before settling
+    if (this.isTouching) {
+      this.scheduleSnap();
+      return;
     }
-    
-    // Update dots based on current index
-    this.dots.forEach((dot, i) => {
-      dot.classList.toggle('wm-timeline-dot--filled', i <= this.currentIndex);
+    // Only settle inside the pinned range; near its ends the user is entering or leaving
+    if (this.progress <= 0 || this.progress >= 1 || this.activeIndex === null) return;
+
+    const top = this.getScrollOffsetForIndex(this.activeIndex);
+    if (top === null || Math.abs(top - this.getScrollTop()) < 2) return;
+    this.scrollContainerTo(top, 'smooth');
+  }
+
+  // Nearest item in that direction the scroll can move to; those sharing a clamped end offset
+  // are skipped, and null at either end lets the page scroll on past the timeline
+  getStepTarget(direction) {
+    const scrollTop = this.getScrollTop();
+    for (let index = (this.activeIndex ?? this.currentIndex) + direction; index >= 0 && index < this.items.length; index += direction) {
+      const top = this.getScrollOffsetForIndex(index);
+      if (top !== null && Math.abs(top - scrollTop) >= 2) return index;
+    }
+    return null;
+  }
+
+  canStep(direction) {
+    return this.getStepTarget(direction) !== null;
+  }
+
+  stepBy(direction) {
+    const index = this.getStepTarget(direction);
+    if (index !== null) this.scrollToIndex(index);
+  }
+
+  handleSnapWheel(e) {
+    if (this.getSnapMode() !== 'stepped' || e.ctrlKey) return;
+    const delta = Math.abs(e.deltaY) >= Math.abs(e.deltaX) ? e.deltaY : this.toTrackDelta(e.deltaX);
+    if (!delta || !this.isPinned()) return;
+    const direction = Math.sign(delta);
+    if (!this.canStep(direction)) return;
+
+    e.preventDefault();
+    // One step per notch; a trackpad flick's stream of events (and its momentum) counts as one
+    const now = performance.now();
+    const isSameGesture = now - this.lastStepWheelAt < 150 && now - this.lastStepAt < 1000;
+    this.lastStepWheelAt = now;
+    if (isSameGesture || now - this.lastStepAt < 300) return;
+
+    this.lastStepAt = now;
+    this.stepBy(direction);
+  }
+
+  handleSnapTouchStart(e) {
+    if (this.getSnapMode() !== 'stepped' || e.touches.length !== 1 || !this.isPinned()) {
+      this.snapTouch = null;
+      return;
+    }
+    this.snapTouch = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+  }
+
+  handleSnapTouchMove(e) {
+    if (!this.snapTouch || !e.cancelable) return;
+    const dx = this.snapTouch.x - e.touches[0].clientX;
+    const dy = this.snapTouch.y - e.touches[0].clientY;
+    // Let the page scroll when swiping off either end of the timeline
+    if (Math.abs(dy) > Math.abs(dx) && this.canStep(Math.sign(dy) || 1)) {
+      e.preventDefault();
+    }
+  }
+
+  handleSnapTouchEnd(e) {
+    if (!this.snapTouch) return;
+    const touch = e.changedTouches[0];
+    const dy = this.snapTouch.y - touch.clientY;
+    const dx = this.snapTouch.x - touch.clientX;
+    this.snapTouch = null;
+    if (Math.abs(dy) > 30 && Math.abs(dy) > Math.abs(dx)) {
+      this.stepBy(Math.sign(dy));
+    }
+  }
+
+  bindSnapEvents() {
+    if (!this.settings.scrollSnap) return;
+
+    this.boundHandleTouchState = (e) => {
+      this.isTouching = e.type === 'touchstart' || e.touches.length > 0;
+    };
+    ['touchstart', 'touchend', 'touchcancel'].forEach(type => {
+      window.addEventListener(type, this.boundHandleTouchState, { passive: true });
     });
-    
-    this.updateArrowStates();
+
+    const stickyWrapper = this.el.querySelector('.wm-timeline-sticky-wrapper');
+    if (!stickyWrapper || this.settings.scrollSnap !== 'stepped') return;
+    stickyWrapper.addEventListener('wheel', (e) => this.handleSnapWheel(e), { passive: false });
+    stickyWrapper.addEventListener('touchstart', (e) => this.handleSnapTouchStart(e), { passive: true });
+    stickyWrapper.addEventListener('touchmove', (e) => this.handleSnapTouchMove(e), { passive: false });
+    stickyWrapper.addEventListener('touchend', (e) => this.handleSnapTouchEnd(e));
+    stickyWrapper.addEventListener('touchcancel', () => { this.snapTouch = null; });
   }
 
-  goNext() {
-    if (this.currentIndex < this.data.length - 1) {
-      this.goToIndex(this.currentIndex + 1);
+  // Swipe navigation methods
+  setDragging(isDragging) {
+    const timelineArea = this.el.querySelector('.wm-timeline-area');
+    if (timelineArea) {
+      timelineArea.classList.toggle('wm-timeline-area--dragging', isDragging);
     }
   }
 
-  goPrev() {
-    if (this.currentIndex > 0) {
-      this.goToIndex(this.currentIndex - 1);
+  getNearestIndex(translateX) {
+    let nearestIndex = this.currentIndex;
+    let nearestDistance = Infinity;
+    this.items.forEach((item, i) => {
+      const distance = Math.abs(this.getTranslateForIndex(i) - translateX);
+      // Ties happen where several items clamp to the same end; prefer the current one
+      if (distance < nearestDistance || (distance === nearestDistance && i === this.currentIndex)) {
+        nearestDistance = distance;
+        nearestIndex = i;
+      }
+    });
+    return nearestIndex;
+  }
+
+  // Settle on the nearest item; a deliberate swipe always moves at least one item
+  snapToTranslate(translateX, swipeDistance) {
+    let index = this.getNearestIndex(translateX);
+    if (index === this.currentIndex && Math.abs(swipeDistance) > 40) {
+      index += Math.sign(swipeDistance);
     }
+    this.goToIndex(index);
   }
 
-  updateArrowStates() {
-    if (!this.prevButton || !this.nextButton) return;
-    this.prevButton.classList.toggle('wm-timeline-arrow--disabled', this.currentIndex === 0);
-    this.nextButton.classList.toggle('wm-timeline-arrow--disabled', this.currentIndex >= this.data.length - 1);
+  getDragVelocity(samples) {
+    if (samples.length < 2) return 0;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = last.time - first.time;
+    return elapsed > 0 ? (last.x - first.x) / elapsed : 0;
+  }
+
+  handlePointerDown(e) {
+    if (this.isVerticalLayout()) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    // x positions are measured along the track, so mirrored timelines drag the same way
+    const x = this.toTrackDelta(e.clientX);
+    this.dragState = {
+      pointerId: e.pointerId,
+      startX: x,
+      startY: e.clientY,
+      startTranslate: this.currentTranslate,
+      translate: this.currentTranslate,
+      isDragging: false,
+      samples: [{ x, time: e.timeStamp }]
+    };
+  }
+
+  handlePointerMove(e) {
+    const state = this.dragState;
+    if (!state || e.pointerId !== state.pointerId) return;
+
+    const x = this.toTrackDelta(e.clientX);
+    const deltaX = x - state.startX;
+    const deltaY = e.clientY - state.startY;
+
+    if (!state.isDragging) {
+      if (Math.abs(deltaX) < 6 && Math.abs(deltaY) < 6) return;
+      // Vertical gestures keep scrolling the page
+      if (Math.abs(deltaY) > Math.abs(deltaX)) {
+        this.dragState = null;
+        return;
+      }
+      state.isDragging = true;
+      this.itemsTrack.setPointerCapture(e.pointerId);
+      this.setDragging(true);
+    }
+
+    // Resist dragging past either end of the track
+    const maxTranslate = this.getMaxTranslate();
+    let translateX = state.startTranslate - deltaX;
+    if (translateX < 0) {
+      translateX /= 3;
+    } else if (translateX > maxTranslate) {
+      translateX = maxTranslate + ((translateX - maxTranslate) / 3);
+    }
+    state.translate = translateX;
+    this.setTrackTranslate(translateX);
+
+    // Only the last 100ms of movement count towards release velocity
+    state.samples.push({ x, time: e.timeStamp });
+    state.samples = state.samples.filter(sample => e.timeStamp - sample.time <= 100);
+  }
+
+  handlePointerUp(e) {
+    const state = this.dragState;
+    if (!state || e.pointerId !== state.pointerId) return;
+    this.dragState = null;
+    if (!state.isDragging) return;
+
+    this.setDragging(false);
+
+    // Swallow the click that follows a drag so links inside items don't fire
+    if (e.type === 'pointerup') {
+      this.suppressClick = true;
+      setTimeout(() => { this.suppressClick = false; }, 0);
+    }
+
+    // Project a flick forward with constant deceleration (px/ms²)
+    const velocity = this.getDragVelocity(state.samples);
+    let projected = state.translate;
+    if (Math.abs(velocity) >= this.settings.swipeVelocityThreshold) {
+      projected -= (velocity * Math.abs(velocity)) / (2 * 0.003);
+    }
+
+    this.snapToTranslate(projected, state.startX - this.toTrackDelta(e.clientX));
+  }
+
+  handleDragClick(e) {
+    if (!this.suppressClick) return;
+    e.preventDefault();
+    e.stopPropagation();
+    this.suppressClick = false;
+  }
+
+  handleWheel(e) {
+    if (this.isVerticalLayout()) return;
+    // Only claim horizontal gestures; vertical wheel keeps scrolling the page
+    if (Math.abs(e.deltaX) <= Math.abs(e.deltaY)) return;
+    e.preventDefault();
+
+    const delta = this.toTrackDelta(e.deltaMode === 1 ? e.deltaX * 16 : e.deltaX);
+    if (!this.wheelState) {
+      this.wheelState = { translate: this.currentTranslate, distance: 0 };
+      this.setDragging(true);
+    }
+    this.wheelState.translate = Math.max(0, Math.min(this.wheelState.translate + delta, this.getMaxTranslate()));
+    this.wheelState.distance += delta;
+    this.setTrackTranslate(this.wheelState.translate);
+
+    // Trackpads already apply their own momentum, so snap once the events go idle
+    clearTimeout(this.wheelTimeout);
+    this.wheelTimeout = setTimeout(() => {
+      const { translate, distance } = this.wheelState;
+      this.wheelState = null;
+      this.setDragging(false);
+      this.snapToTranslate(translate, distance);
+    }, 150);
+  }
+
+  bindSwipeEvents() {
+    if (!this.settings.swipeNavigation || !this.itemsTrack) return;
+    this.itemsTrack.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.itemsTrack.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.itemsTrack.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.itemsTrack.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+    this.itemsTrack.addEventListener('click', (e) => this.handleDragClick(e), true);
+    this.itemsTrack.addEventListener('dragstart', (e) => e.preventDefault());
+    this.itemsTrack.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+  }
+
+  handleIndexClick(e) {
+    const target = e.target.closest('.wm-timeline-dot, .wm-timeline-item-label');
+    if (!target) return;
+    // Labels take their index from the wrapper, which filtering renumbers
+    const index = parseInt(target.closest('[data-index]').dataset.index, 10);
+    if (Number.isNaN(index)) return;
+    e.preventDefault();
+    this.navigateToIndex(index);
+  }
+
+  bindIndexNavigation() {
+    this.itemsTrack?.addEventListener('click', (e) => this.handleIndexClick(e));
+    this.labelsTrack?.addEventListener('click', (e) => this.handleIndexClick(e));
+  }
+
+  bindAccessibilityEvents() {
+    const itemsContainer = this.el.querySelector('.wm-timeline-items-container');
+    if (!itemsContainer) return;
+    itemsContainer.addEventListener('keydown', (e) => this.handleKeydown(e));
+    // Era headings share the labels track and keep their own keys
+    this.labelsTrack?.addEventListener('keydown', (e) => {
+      if (e.target.closest('.wm-timeline-item-label')) this.handleKeydown(e);
+    });
+    itemsContainer.addEventListener('focusin', (e) => this.handleFocusIn(e));
   }
 
   bindEvents() {
+    this.bindAccessibilityEvents();
+    this.bindIndexNavigation();
+    this.bindDeepLinkEvents();
+    this.bindItemDetailEvents();
+    this.bindMediaEvents();
+    this.bindSearchEvents();
+
     // Arrow navigation mode (works on desktop and horizontal mobile)
     if (this.settings.navigationType === 'arrows') {
       this.isAnimating = false;
@@ -612,86 +3713,59 @@ class WMHorizontalTimeline {
         this.goNext();
         setTimeout(() => { this.isAnimating = false; }, arrowDuration);
       });
+
+      this.bindSwipeEvents();
+      this.bindAutoplayEvents();
       
-      requestAnimationFrame(() => this.goToIndex(0));
+      requestAnimationFrame(() => this.goToIndex(this.currentIndex));
       
       // For arrow mode, only need resize handler (unless vertical mobile)
       let resizeTimeout;
       this.boundHandleResize = () => {
         clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-          const currentIsMobile = window.innerWidth <= 767;
-          const currentIsVertical = currentIsMobile && this.settings.mobileLayout === 'vertical';
-          
-          this.calculateDimensions();
-          
-          if (currentIsVertical) {
-            this.updateTimeline();
-          } else {
-            this.goToIndex(this.currentIndex);
-          }
-        }, 100);
+        resizeTimeout = setTimeout(() => this.refresh(), 100);
       };
       window.addEventListener('resize', this.boundHandleResize, { passive: true });
       
-      // Also need scroll handler for vertical mobile layout
-      if (this.settings.mobileLayout === 'vertical') {
-        let ticking = false;
+      // Also need scroll handler for vertical layouts
+      if (this.settings.mobileLayout !== 'horizontal' || this.settings.desktopLayout !== 'horizontal') {
         this.boundHandleScroll = () => {
-          if (!ticking) {
-            requestAnimationFrame(() => {
-              const currentIsMobile = window.innerWidth <= 767;
-              const currentIsVertical = currentIsMobile && this.settings.mobileLayout === 'vertical';
-              
-              if (currentIsVertical) {
-                this.updateTimeline();
-              }
-              ticking = false;
-            });
-            ticking = true;
+          if (this.isVerticalLayout()) {
+            this.requestRender();
           }
         };
-        window.addEventListener('scroll', this.boundHandleScroll, { passive: true });
+        this.getScrollTarget().addEventListener('scroll', this.boundHandleScroll, { passive: true });
+        this.observeDocumentResize();
       }
       return;
     }
 
     // Scroll navigation mode (default) - works on all layouts
-    let ticking = false;
     this.boundHandleScroll = () => {
-      if (!ticking) {
-        requestAnimationFrame(() => {
-          this.updateTimeline();
-          ticking = false;
-        });
-        ticking = true;
-      }
+      this.requestRender();
+      this.scheduleSnap();
     };
+    this.bindSnapEvents();
 
     // Debounced resize handler
     let resizeTimeout;
     this.boundHandleResize = () => {
       clearTimeout(resizeTimeout);
-      resizeTimeout = setTimeout(() => {
-        this.calculateDimensions();
-        this.updateTimeline();
-      }, 100);
+      resizeTimeout = setTimeout(() => this.refresh(), 100);
     };
 
-    window.addEventListener('scroll', this.boundHandleScroll, { passive: true });
+    this.getScrollTarget().addEventListener('scroll', this.boundHandleScroll, { passive: true });
     window.addEventListener('resize', this.boundHandleResize, { passive: true });
 
     // Also observe for size changes
     if (typeof ResizeObserver !== 'undefined') {
-      this.resizeObserver = new ResizeObserver(() => {
-        this.calculateDimensions();
-        this.updateTimeline();
-      });
+      this.resizeObserver = new ResizeObserver(() => this.refresh());
       const itemsTrack = this.el.querySelector('.wm-timeline-items-track');
       if (itemsTrack) {
         this.resizeObserver.observe(itemsTrack);
       }
     }
+    this.observeDocumentResize();
 
     // Initial update
     requestAnimationFrame(() => {
@@ -699,17 +3773,288 @@ class WMHorizontalTimeline {
     });
   }
 
-  destroy() {
+  // Autoplay methods
+  isAutoplayEnabled() {
+    return Boolean(this.settings.autoplay && this.settings.navigationType === 'arrows' && this.autoplayToggle);
+  }
+
+  isAutoplayPaused() {
+    return this.autoplayPauseReasons.size > 0;
+  }
+
+  // Starts a fresh countdown for the active item
+  restartAutoplayCycle() {
+    if (!this.isAutoplayEnabled()) return;
+
+    clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+    this.autoplayRemaining = this.settings.autoplayInterval;
+
+    this.dots.forEach(dot => dot.classList.remove('wm-timeline-dot--countdown'));
+    const activeDot = this.dots[this.currentIndex];
+    if (activeDot) {
+      // Force a reflow so the countdown animation restarts on the same dot
+      void activeDot.offsetWidth;
+      activeDot.classList.add('wm-timeline-dot--countdown');
+    }
+
+    this.scheduleAutoplay();
+  }
+
+  scheduleAutoplay() {
+    if (this.isAutoplayPaused() || this.autoplayTimer) return;
+    this.autoplayStartedAt = performance.now();
+    this.autoplayTimer = setTimeout(() => {
+      this.autoplayTimer = null;
+      this.advanceAutoplay();
+    }, this.autoplayRemaining);
+  }
+
+  advanceAutoplay() {
+    // Arrows are hidden in the stacked layout, so just wait for the next cycle
+    if (this.isVerticalLayout()) {
+      this.restartAutoplayCycle();
+      return;
+    }
+
+    if (this.currentIndex < this.items.length - 1) {
+      this.goToIndex(this.currentIndex + 1);
+    } else if (this.settings.autoplayLoop) {
+      this.goToIndex(0);
+    } else {
+      this.pauseAutoplay('user');
+    }
+  }
+
+  // Reasons: 'user' (toggle), 'hover', 'focus', 'hidden'; plays only when none apply
+  pauseAutoplay(reason) {
+    if (!this.isAutoplayEnabled()) return;
+    this.autoplayPauseReasons.add(reason);
+
+    if (this.autoplayTimer) {
+      clearTimeout(this.autoplayTimer);
+      this.autoplayTimer = null;
+      const elapsed = performance.now() - this.autoplayStartedAt;
+      this.autoplayRemaining = Math.max(0, this.autoplayRemaining - elapsed);
+    }
+    this.updateAutoplayState();
+  }
+
+  resumeAutoplay(reason) {
+    if (!this.isAutoplayEnabled()) return;
+    this.autoplayPauseReasons.delete(reason);
+    this.scheduleAutoplay();
+    this.updateAutoplayState();
+  }
+
+  toggleAutoplay() {
+    if (!this.autoplayPauseReasons.has('user')) {
+      this.pauseAutoplay('user');
+      return;
+    }
+
+    // Playing again from a stopped end starts over
+    if (!this.settings.autoplayLoop && this.currentIndex >= this.items.length - 1) {
+      this.autoplayPauseReasons.delete('user');
+      this.goToIndex(0);
+      this.updateAutoplayState();
+      return;
+    }
+    this.resumeAutoplay('user');
+  }
+
+  updateAutoplayState() {
+    this.el.setAttribute('data-wm-autoplay', this.isAutoplayPaused() ? 'paused' : 'playing');
+    if (!this.autoplayToggle) return;
+    const isUserPaused = this.autoplayPauseReasons.has('user');
+    this.autoplayToggle.classList.toggle('wm-timeline-autoplay-toggle--paused', isUserPaused);
+    this.autoplayToggle.setAttribute('aria-label', isUserPaused ? 'Play autoplay' : 'Pause autoplay');
+  }
+
+  bindAutoplayEvents() {
+    if (!this.isAutoplayEnabled()) return;
+
+    this.el.style.setProperty('--timeline-autoplay-interval', `${this.settings.autoplayInterval}ms`);
+
+    // Never start moving on its own for users who asked for less motion
+    this.autoplayPauseReasons.clear();
+    if (this.prefersReducedMotion()) {
+      this.autoplayPauseReasons.add('user');
+    }
+    if (document.hidden) {
+      this.autoplayPauseReasons.add('hidden');
+    }
+    this.updateAutoplayState();
+
+    this.autoplayToggle.addEventListener('click', () => this.toggleAutoplay());
+
+    const timelineArea = this.el.querySelector('.wm-timeline-area');
+    timelineArea?.addEventListener('mouseenter', () => this.pauseAutoplay('hover'));
+    timelineArea?.addEventListener('mouseleave', () => this.resumeAutoplay('hover'));
+
+    // Only keyboard focus holds playback paused; clicking the arrows or the toggle doesn't
+    this.timelineWrapper?.addEventListener('focusin', (e) => {
+      if (e.target === this.autoplayToggle || !e.target.matches(':focus-visible')) {
+        this.resumeAutoplay('focus');
+      } else {
+        this.pauseAutoplay('focus');
+      }
+    });
+    this.timelineWrapper?.addEventListener('focusout', (e) => {
+      if (!this.timelineWrapper.contains(e.relatedTarget)) {
+        this.resumeAutoplay('focus');
+      }
+    });
+
+    this.boundHandleVisibilityChange = () => {
+      if (document.hidden) {
+        this.pauseAutoplay('hidden');
+      } else {
+        this.resumeAutoplay('hidden');
+      }
+    };
+    document.addEventListener('visibilitychange', this.boundHandleVisibilityChange);
+  }
+
+  // Public API methods
+  next() {
+    this.goTo(this.currentIndex + 1);
+  }
+
+  prev() {
+    this.goTo(this.currentIndex - 1);
+  }
+
+  // Accepts an item index or its [label] text/slug
+  goTo(indexOrLabel) {
+    if (this.items.length === 0) return;
+
+    let index = indexOrLabel;
+    if (typeof indexOrLabel === 'string') {
+      const slug = this.slugify(indexOrLabel);
+      index = this.items.findIndex((item, i) => this.getItemSlug(i) === slug);
+      if (index === -1) {
+        console.warn(`[${this.pluginName}] No item found with label "${indexOrLabel}"`);
+        return;
+      }
+    }
+    if (!Number.isInteger(index)) return;
+
+    this.navigateToIndex(Math.max(0, Math.min(index, this.items.length - 1)));
+  }
+
+  getState() {
+    const item = this.items[this.currentIndex];
+    return {
+      index: this.currentIndex,
+      count: this.items.length,
+      progress: this.progress,
+      label: this.getItemLabel(this.currentIndex),
+      isVertical: this.isVerticalLayout(),
+      breakpoint: this.activeBreakpoint,
+      categories: Array.from(this.activeCategories).map(slug => this.filterCategories.get(slug)),
+      settings: { ...this.settings }
+    };
+  }
+
+  // Re-measure and re-render the current position (e.g. after content changes)
+  refresh() {
+    // Crossing into another breakpoint can change anything, so rebuild from scratch
+    if (this.hasBreakpointChanged()) {
+      this.rebuild();
+      return;
+    }
+
+    this.calculateDimensions();
+    if (this.settings.navigationType === 'arrows' && !this.isVerticalLayout()) {
+      this.goToIndex(this.currentIndex);
+    } else {
+      this.updateTimeline();
+    }
+  }
+
+  updateSettings(settings = {}) {
+    this.baseSettings = { ...this.baseSettings, ...this.validateSettings(settings, 'updateSettings()') };
+    this.rebuild();
+  }
+
+  rebuild() {
+    this.teardown();
+    this.resolveSettings();
+    this.init();
+  }
+
+  // Remove listeners and built markup, leaving the instance ready to init() again
+  teardown() {
+    // Invalidate any data source still loading for this init
+    this.initId++;
+
     // Remove event listeners
     if (this.boundHandleScroll) {
-      window.removeEventListener('scroll', this.boundHandleScroll);
+      this.getScrollTarget().removeEventListener('scroll', this.boundHandleScroll);
+      this.boundHandleScroll = null;
     }
+    this.scrollContainer = null;
     if (this.boundHandleResize) {
       window.removeEventListener('resize', this.boundHandleResize);
+      this.boundHandleResize = null;
     }
+    if (this.boundHandleLocationChange) {
+      window.removeEventListener('hashchange', this.boundHandleLocationChange);
+      window.removeEventListener('popstate', this.boundHandleLocationChange);
+      this.boundHandleLocationChange = null;
+    }
+    clearTimeout(this.deepLinkTimeout);
+    this.deepLinkTimeout = null;
+    this.deepLinkIndex = null;
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    if (this.mediaObserver) {
+      this.mediaObserver.disconnect();
+      this.mediaObserver = null;
+    }
+    this.destroyHlsPlayers();
+    if (this.bodyResizeObserver) {
+      this.bodyResizeObserver.disconnect();
+      this.bodyResizeObserver = null;
+    }
+    cancelAnimationFrame(this.renderFrame);
+    this.renderFrame = null;
+    this.geometry = null;
+    this.focusPosition = null;
+    this.isInView = false;
+    if (this.boundHandleVisibilityChange) {
+      document.removeEventListener('visibilitychange', this.boundHandleVisibilityChange);
+      this.boundHandleVisibilityChange = null;
     }
+    this.closeModal();
+    if (this.boundHandleTouchState) {
+      ['touchstart', 'touchend', 'touchcancel'].forEach(type => {
+        window.removeEventListener(type, this.boundHandleTouchState);
+      });
+      this.boundHandleTouchState = null;
+    }
+    clearTimeout(this.snapTimeout);
+    this.snapTouch = null;
+    this.isTouching = false;
+    clearTimeout(this.wheelTimeout);
+    clearTimeout(this.filterTimeout);
+    clearTimeout(this.searchTimeout);
+    if (this.boundHandleSearchShortcut) {
+      document.removeEventListener('keydown', this.boundHandleSearchShortcut);
+      this.boundHandleSearchShortcut = null;
+    }
+    clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+    this.el.style.removeProperty('--timeline-autoplay-interval');
+    this.el.style.removeProperty('--timeline-era-fill');
+    this.el.style.removeProperty('--timeline-description-lines');
+    this.el.style.removeProperty('--timeline-placeholder-height');
+    ['--timeline-scroll-range', '--timeline-max-translate', '--timeline-viewport-height', '--timeline-scroll-container-height'].forEach(prop => {
+      this.el.style.removeProperty(prop);
+    });
 
     // Remove custom content
     const scrollSpacer = this.el.querySelector('.wm-timeline-scroll-spacer');
@@ -722,47 +4067,167 @@ class WMHorizontalTimeline {
     if (userItemsList) {
       userItemsList.style.display = '';
     }
+    if (this.sourceElement) {
+      this.sourceElement.style.display = '';
+    }
 
-    // Remove data attribute
-    this.el.removeAttribute('data-wm-plugin');
+    // Remove data attributes
+    [
+      'data-wm-plugin',
+      'data-wm-navigation-type',
+      'data-wm-item-cards',
+      'data-wm-mobile-layout',
+      'data-wm-desktop-layout',
+      'data-wm-layout',
+      'data-wm-layout-alternating',
+      'data-wm-mobile',
+      'data-wm-arrow-placement',
+      'data-wm-arrow-placement-mobile',
+      'data-wm-autoplay',
+      'data-wm-date-scale',
+      'data-wm-eras',
+      'data-wm-era-fill',
+      'data-wm-item-detail',
+      'data-wm-emphasis',
+      'data-wm-scroll-timeline',
+      'data-wm-description-lines',
+      'data-wm-scroll-container',
+      'data-wm-rtl'
+    ].forEach(attr => this.el.removeAttribute(attr));
 
     // Clear references
     this.timelineWrapper = null;
     this.progressFill = null;
+    this.progressTrack = null;
     this.itemsTrack = null;
+    this.labelsTrack = null;
+    this.prevButton = null;
+    this.nextButton = null;
+    this.autoplayToggle = null;
     this.dots = [];
+    this.items = [];
+    this.allItems = [];
+    this.labelWrappers = [];
+    this.allLabelWrappers = [];
+    this.itemSources = new Map();
+    this.itemBodies = new Map();
+    this.filtersBar = null;
+    this.searchInput = null;
+    this.searchStatus = null;
+    this.searchQuery = '';
+    this.searchResults = [];
+    this.searchResultIndex = -1;
+    this.isVirtualized = false;
+    this.renderedRange = null;
+    this.placeholderHeight = 0;
+    this.itemDates = [];
+    this.dateScaleRatio = 1;
+    this.eras = [];
+    this.erasTrack = null;
+    this.modal = null;
+    this.modalReturnFocus = null;
+    this.liveRegion = null;
+    this.activeIndex = null;
+    this.dragState = null;
+    this.wheelState = null;
+  }
 
+  destroy() {
+    this.teardown();
+    WMHorizontalTimeline.instances.delete(this.el.id);
     WMHorizontalTimeline.emitEvent(':destroy', { el: this.el }, this.el);
   }
 }
 
-// Immediate initialization
+// Lifecycle: initialise sections on load and as they appear, and rebuild them after editing
 (function() {
   const pluginName = 'horizontal-timeline';
-  const sections = document.querySelectorAll(`[id^="${pluginName}"]`);
-  const instances = [];
-
-  sections.forEach(section => {
-    const sectionId = section.id;
-    const settings = window.wmHorizontalTimelineSettings?.[sectionId] || {};
-    const instance = new WMHorizontalTimeline(section, settings);
-    instances.push(instance);
-  });
+  const selector = `[id^="${pluginName}"]`;
+  const isBackend = window.top !== window.self;
+  const isEditing = () => document.body.classList.contains('sqs-edit-mode-active');
 
-  // Backend teardown when edit mode activates
-  if (window.top !== window.self) {
-    const observer = new MutationObserver(() => {
-      if (document.body.classList.contains('sqs-edit-mode-active')) {
-        instances.forEach(instance => {
-          if (instance && typeof instance.destroy === 'function') {
-            instance.destroy();
-          }
-        });
-        observer.disconnect();
+  function initSection(section) {
+    if (!section.id || (isBackend && isEditing())) return;
+    const existing = WMHorizontalTimeline.instances.get(section.id);
+    if (existing && existing.el === section) return;
+    const settings = window.wmHorizontalTimelineSettings?.[section.id] || {};
+    new WMHorizontalTimeline(section, settings);
+  }
+
+  function initAll(root = document) {
+    if (root.matches?.(selector)) initSection(root);
+    root.querySelectorAll?.(selector).forEach(initSection);
+  }
+
+  function destroyAll() {
+    Array.from(WMHorizontalTimeline.instances.values()).forEach(instance => instance.destroy());
+  }
+
+  // Sections removed by page transitions would otherwise keep their window listeners
+  function destroyDetached() {
+    Array.from(WMHorizontalTimeline.instances.values()).forEach(instance => {
+      if (!instance.el.isConnected) instance.destroy();
+    });
+  }
+
+  initAll();
+
+  // Public registry, e.g. wmHorizontalTimeline.get('horizontal-timeline-history').next()
+  window.wmHorizontalTimeline = {
+    get: (sectionId) => WMHorizontalTimeline.instances.get(sectionId) || null,
+    getAll: () => Array.from(WMHorizontalTimeline.instances.values()),
+    init: (root = document) => initAll(root)
+  };
+
+  // Sections added later (AJAX page loads, lazy sections, popups) and list edits that change the data
+  const observer = new MutationObserver(records => {
+    const changed = new Set();
+    let hasRemovals = false;
+    records.forEach(record => {
+      if (record.type === 'attributes') {
+        const section = record.target.closest(selector);
+        if (section) changed.add(section);
+        return;
+      }
+      if (record.removedNodes.length) hasRemovals = true;
+      record.addedNodes.forEach(node => {
+        // Skip the timeline's own rendering
+        if (node.nodeType !== 1 || node.closest('.wm-timeline-scroll-spacer')) return;
+        initAll(node);
+      });
+    });
+    if (hasRemovals) destroyDetached();
+    if (isBackend && isEditing()) return;
+    changed.forEach(section => {
+      const instance = WMHorizontalTimeline.instances.get(section.id);
+      if (instance && instance.el === section) {
+        instance.rebuild();
+      } else {
+        initSection(section);
       }
     });
+  });
+  observer.observe(document.body, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['data-current-context']
+  });
 
-    observer.observe(document.body, {
+  // Backend: tear down while edit mode is active and build again once it ends
+  if (isBackend) {
+    let wasEditing = isEditing();
+    const editModeObserver = new MutationObserver(() => {
+      const editing = isEditing();
+      if (editing === wasEditing) return;
+      wasEditing = editing;
+      if (editing) {
+        destroyAll();
+      } else {
+        initAll();
+      }
+    });
+    editModeObserver.observe(document.body, {
       attributes: true,
       attributeFilter: ['class']
     });